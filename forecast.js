@@ -0,0 +1,172 @@
+#!/usr/bin/env node
+// Text forecast from the command line
+//
+// Reads a sounding (University of Wyoming TEXT:LIST or CSV, see the import on the page) or a saved scenario and prints
+// the cloudbase, the thermal top and a climb rate table, calculated by the same model as the page (thermalcore.js).
+//
+//   node forecast.js [--solar 0.8] [--step 200] [--json] <file>
+
+var fs = require('fs');
+var path = require('path');
+var core = require('./thermalcore.js');
+
+const defaultTableStep = 200; // [m]
+const climbBarScale = 4; // characters per m/s in the climb table
+
+function usage(message)
+{
+    if (message) console.error(message);
+    console.error("Usage: node forecast.js [--solar 0.0-1.0] [--step metres] [--json] <sounding or scenario file>");
+    process.exit(2);
+}
+
+function parseArguments(argv)
+{
+    var options = {file: null, solar: null, step: defaultTableStep, json: false};
+
+    for (var i = 0; i < argv.length; ++i)
+    {
+        var arg = argv[i];
+
+        if (arg === '--json') options.json = true;
+        else if (arg === '--solar' || arg === '--step')
+        {
+            var value = parseFloat(argv[++i]);
+            if (isNaN(value)) usage(arg + " needs a number");
+            options[arg.substr(2)] = value;
+        }
+        else if (arg === '--help' || arg === '-h') usage();
+        else if (arg.charAt(0) === '-') usage("Unknown option: " + arg);
+        else options.file = arg;
+    }
+
+    if (options.file === null) usage();
+    if (options.solar !== null && (options.solar < 0.0 || options.solar > 1.0)) usage("--solar must be between 0 and 1");
+    if (options.step < 10) usage("--step must be at least 10");
+
+    return options;
+}
+
+function loadScenario(doc)
+{
+    doc = core.migrateScenario(doc);
+
+    var errors = core.validateScenario(doc);
+    if (errors.length > 0) return {errors: errors};
+
+    var model = core.getScenarioModel(doc);
+    var notes = [];
+    if (doc.settings && doc.settings.showDiurnalCycle) notes.push("The scenario runs the day cycle, the forecast is for its saved morning sounding");
+
+    return {source: "scenario", model: model, notes: notes, errors: []};
+}
+
+function loadSounding(text)
+{
+    var sounding = core.parseSounding(text);
+    var result = core.buildProfileFromSounding(sounding);
+    if (result.profile === null) return {errors: result.report.concat(sounding.errors)};
+
+    return {
+        source: sounding.format + " sounding",
+        model: {profile: result.profile, settings: core.defaultModelSettings, fieldElevation: result.surface.height},
+        notes: result.report.slice(1).concat(sounding.errors),
+        errors: []
+    };
+}
+
+function loadInput(text)
+{
+    var doc = null;
+    try
+    {
+        doc = JSON.parse(text);
+    }
+    catch (e)
+    {
+        // not JSON, so a sounding
+    }
+
+    return doc !== null && typeof doc === 'object' && doc.format === core.scenarioFormat ? loadScenario(doc) : loadSounding(text);
+}
+
+function pad(text, width)
+{
+    text = "" + text;
+    while (text.length < width) text = " " + text;
+    return text;
+}
+
+function formatAltitude(altitude, elevation)
+{
+    return pad(Math.round(altitude), 5) + " m AGL  " + pad(Math.round(altitude + elevation), 5) + " m MSL";
+}
+
+function printForecast(name, input, solar, forecast)
+{
+    var elevation = input.model.fieldElevation;
+
+    console.log("Thermal forecast for " + name + " (" + input.source + ")");
+    console.log("Solar strength " + solar + ", ground at " + Math.round(elevation) + " m MSL");
+    input.notes.forEach(function(note) { console.log("  " + note); });
+    console.log("");
+
+    if (forecast.thermalTop <= 0.0)
+    {
+        console.log("No thermals: the surface parcel is not warmer than the air above it");
+        return;
+    }
+
+    console.log("Cloudbase     " + (forecast.cloudBase === null ? "none, the thermals stay blue" : formatAltitude(forecast.cloudBase, elevation)));
+    console.log("Thermal top   " + formatAltitude(forecast.thermalTop, elevation));
+    console.log("Clouds        " + core.cloudTypeNames[forecast.cloudType]);
+    console.log("Best climb    " + forecast.bestClimb.climbRate.toFixed(1) + " m/s at " + Math.round(forecast.bestClimb.altitude) + " m AGL");
+    console.log("");
+    console.log(" Altitude AGL    Climb");
+
+    for (var i = forecast.climbRates.length - 1; i >= 0; --i)
+    {
+        var row = forecast.climbRates[i];
+        var bar = new Array(Math.round(row.climbRate * climbBarScale) + 1).join("#");
+        var cloud = forecast.cloudBase !== null && row.altitude >= forecast.cloudBase ? " (in cloud)" : "";
+        console.log(pad(row.altitude, 9) + " m  " + pad(row.climbRate.toFixed(1), 5) + " m/s  " + bar + cloud);
+    }
+}
+
+var options = parseArguments(process.argv.slice(2));
+
+var text;
+try
+{
+    text = fs.readFileSync(options.file, 'utf8');
+}
+catch (e)
+{
+    console.error("Cannot read " + options.file + ": " + e.message);
+    process.exit(1);
+}
+
+var input = loadInput(text);
+if (input.errors.length > 0)
+{
+    console.error("Cannot use " + options.file + ":");
+    input.errors.forEach(function(error) { console.error("  " + error); });
+    process.exit(1);
+}
+
+var settings = {
+    solarStrength: options.solar !== null ? options.solar : input.model.settings.solarStrength,
+    calculationResolution: input.model.settings.calculationResolution
+};
+var forecast = core.getForecast(input.model.profile, settings, options.step);
+
+if (options.json)
+{
+    // the parcel levels are left out, they are only needed for drawing
+    delete forecast.thermalData;
+    console.log(JSON.stringify({source: input.source, fieldElevation: input.model.fieldElevation, settings: settings, forecast: forecast}, null, 2));
+}
+else
+{
+    printForecast(path.basename(options.file), input, settings.solarStrength, forecast);
+}
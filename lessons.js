@@ -0,0 +1,118 @@
+// Guided lessons
+//
+// A lesson is a sequence of steps. Each step sets the weatherStack and settings like a preset (see presets.js), shows
+// its narration next to the canvas and marks parts of the scene with callouts. A step only lists what it changes: the
+// settings and the weatherStack of the steps before it carry on. Callouts:
+//
+//   {text: "Line\nline", altitude: 1200, x: 0.5}      text box, x as a share of the landscape width
+//   {..., pointTo: {altitude: 0, x: 0.4}}             with an arrow from the box to that point
+//   {band: [2000, 2300]}                              highlighted altitude band
+//
+// Altitudes are in m above the ground, or 'cloudBase' and 'thermalTop' to follow the model. To add a lesson, call
+// registerLesson() here or from any script loaded after thermal.js.
+
+registerLesson({
+    id: 'from-sunshine-to-cumulus',
+    name: "From sunshine to cumulus",
+    steps: [
+        {
+            title: "Morning",
+            narration: "Early in the morning the sun is low and the ground is cool. The air near the ground is even "
+                + "colder than the air above it, so nothing rises yet.",
+            settings: {solarStrength: 0.2, showCloudBase: true, showTempGraph: true, showHumiGraph: false,
+                showWindBarbs: false, showWindShear: false, showDiurnalCycle: false, showSkewDiagram: false},
+            weatherStack: [
+                {alt: 0, temp: 14, windDir: 270, windSpeed: 1, humidity: 4},
+                {alt: 300, temp: 15, windDir: 270, windSpeed: 1, humidity: 4},
+                {alt: 1000, temp: 12, windDir: 270, windSpeed: 1, humidity: 3.5},
+                {alt: 6000, temp: -18, windDir: 270, windSpeed: 1, humidity: 0.6},
+                {alt: 10000, temp: -48, windDir: 270, windSpeed: 1, humidity: 0.05}
+            ],
+            callouts: [
+                {text: "Cool ground,\nweak sun", altitude: 1500, x: 0.1, pointTo: {altitude: 0, x: 0.45}}
+            ]
+        },
+        {
+            title: "Heat the ground",
+            narration: "The sun heats the ground and the ground heats the air above it. A bubble of warm air is lighter "
+                + "than its surroundings and rises. It cools by 1°C per 100m and stops where it is no warmer "
+                + "than the air around it.",
+            settings: {solarStrength: 0.9},
+            weatherStack: [
+                {alt: 0, temp: 24, windDir: 270, windSpeed: 1, humidity: 4},
+                {alt: 300, temp: 20, windDir: 270, windSpeed: 1, humidity: 4},
+                {alt: 1000, temp: 16, windDir: 270, windSpeed: 1, humidity: 3.5},
+                {alt: 6000, temp: -18, windDir: 270, windSpeed: 1, humidity: 0.6},
+                {alt: 10000, temp: -48, windDir: 270, windSpeed: 1, humidity: 0.05}
+            ],
+            callouts: [
+                {text: "Warm ground heats\nthe air above it", altitude: 500, x: 0.05, pointTo: {altitude: 0, x: 0.45}},
+                {text: "Thermal top", altitude: 'thermalTop', x: 0.1}
+            ]
+        },
+        {
+            title: "The lapse rate",
+            narration: "By noon the thermals have mixed the lower air until it also cools by about 1°C per 100m. "
+                + "A rising bubble stays warmer than its surroundings all the way up: the thermals get higher.",
+            weatherStack: [
+                {alt: 0, temp: 24, windDir: 270, windSpeed: 1, humidity: 4},
+                {alt: 2500, temp: 0.5, windDir: 270, windSpeed: 1, humidity: 3},
+                {alt: 6000, temp: -22, windDir: 270, windSpeed: 1, humidity: 0.6},
+                {alt: 10000, temp: -50, windDir: 270, windSpeed: 1, humidity: 0.05}
+            ],
+            callouts: [
+                {band: [0, 2500]},
+                {text: "1°C colder per 100m:\nrising air stays warmer\nthan its surroundings", altitude: 1200, x: 0.05},
+                {text: "Thermal top", altitude: 'thermalTop', x: 0.1}
+            ]
+        },
+        {
+            title: "Add humidity",
+            narration: "With more moisture in the air the rising bubble reaches its dew point: the vapour condenses "
+                + "and a cloud forms at the cloudbase. The condensation releases heat, so with nothing to stop it "
+                + "the cloud can grow into a thunderstorm.",
+            weatherStack: [
+                {alt: 0, temp: 24, windDir: 270, windSpeed: 1, humidity: 11},
+                {alt: 2500, temp: 0.5, windDir: 270, windSpeed: 1, humidity: 7},
+                {alt: 6000, temp: -22, windDir: 270, windSpeed: 1, humidity: 0.6},
+                {alt: 10000, temp: -50, windDir: 270, windSpeed: 1, humidity: 0.05}
+            ],
+            callouts: [
+                {text: "Cloudbase: the rising air\nreaches its dew point", altitude: 1000, x: 0.05, pointTo: {altitude: 'cloudBase', x: 0.4}}
+            ]
+        },
+        {
+            title: "Add an inversion",
+            narration: "A layer where the temperature increases with height is an inversion. The air in it is "
+                + "warmer than any bubble from below, so the thermals only overshoot a little into it and stop: "
+                + "flat cumulus and a well defined working height.",
+            weatherStack: [
+                {alt: 0, temp: 24, windDir: 270, windSpeed: 1, humidity: 11},
+                {alt: 2000, temp: 5.5, windDir: 270, windSpeed: 1, humidity: 8},
+                {alt: 2300, temp: 10, windDir: 270, windSpeed: 1, humidity: 2.5},
+                {alt: 6000, temp: -17, windDir: 270, windSpeed: 1, humidity: 0.6},
+                {alt: 10000, temp: -48, windDir: 270, windSpeed: 1, humidity: 0.05}
+            ],
+            callouts: [
+                {band: [2000, 2300]},
+                {text: "Inversion: warmer air\nabove caps the thermals", altitude: 3200, x: 0.05, pointTo: {altitude: 2150, x: 0.3}}
+            ]
+        },
+        {
+            title: "Add wind",
+            narration: "Wind increasing with height bends the thermals downwind. The cloud is no longer above the spot "
+                + "where the thermal leaves the ground: look for the lift upwind of the cloud.",
+            settings: {showWindBarbs: true},
+            weatherStack: [
+                {alt: 0, temp: 24, windDir: 270, windSpeed: 1, humidity: 11},
+                {alt: 2000, temp: 5.5, windDir: 270, windSpeed: 4, humidity: 8},
+                {alt: 2300, temp: 10, windDir: 270, windSpeed: 5, humidity: 2.5},
+                {alt: 6000, temp: -17, windDir: 270, windSpeed: 7, humidity: 0.6},
+                {alt: 10000, temp: -48, windDir: 270, windSpeed: 10, humidity: 0.05}
+            ],
+            callouts: [
+                {text: "The thermal leans\ndownwind", altitude: 1000, x: 0.05, pointTo: {altitude: 1000, x: 0.55}}
+            ]
+        }
+    ]
+});
@@ -0,0 +1,160 @@
+
+// Teaching weather presets
+//
+// Each preset is a scenario (see serializeScenario() in thermal.js) with a name and a short explanation shown next to
+// the canvas. Settings and the terrain missing from a preset are left as they are. The weatherStack has to start at 0m and end at
+// calculationsMaxHeight (10000m). To add a preset, call registerPreset() here or from any script loaded after
+// thermal.js.
+
+registerPreset({
+    id: 'good-cumulus',
+    name: "Classic cumulus day",
+    description: "Dry adiabatic lapse rate near the ground, moderate moisture and a weak stable layer at 2500m. "
+        + "Thermals reach the condensation level and form flat cumulus with a well defined cloudbase. "
+        + "Compare the cloudbase with the dew point spread at the ground: about 125m per degree.",
+    settings: {solarStrength: 0.8, showCloudBase: true, showVario: false},
+    weatherStack: [
+        {alt: 0, temp: 26, windDir: 270, windSpeed: 2, humidity: 11},
+        {alt: 1800, temp: 9, windDir: 270, windSpeed: 3, humidity: 8},
+        {alt: 2500, temp: 4.5, windDir: 270, windSpeed: 4, humidity: 5},
+        {alt: 2800, temp: 6, windDir: 270, windSpeed: 4, humidity: 2.5},
+        {alt: 6000, temp: -15, windDir: 270, windSpeed: 6, humidity: 0.6},
+        {alt: 10000, temp: -45, windDir: 270, windSpeed: 8, humidity: 0.05}
+    ]
+});
+
+registerPreset({
+    id: 'low-inversion',
+    name: "Low inversion",
+    description: "A warm layer at 800-1000m caps the thermals long before they could reach the condensation level. "
+        + "The rising air meets air warmer than itself, loses its buoyancy and stops: no clouds, a low and "
+        + "crowded working band. Try warming the ground to see when the thermals break through.",
+    settings: {solarStrength: 0.8, showCloudBase: true},
+    weatherStack: [
+        {alt: 0, temp: 24, windDir: 270, windSpeed: 1, humidity: 10},
+        {alt: 800, temp: 16.5, windDir: 270, windSpeed: 1, humidity: 9},
+        {alt: 1000, temp: 20, windDir: 270, windSpeed: 2, humidity: 4},
+        {alt: 3000, temp: 7, windDir: 270, windSpeed: 3, humidity: 2.5},
+        {alt: 6000, temp: -13, windDir: 270, windSpeed: 5, humidity: 0.6},
+        {alt: 10000, temp: -45, windDir: 270, windSpeed: 8, humidity: 0.05}
+    ]
+});
+
+registerPreset({
+    id: 'blue-thermals',
+    name: "Blue thermals",
+    description: "Good lapse rate but very dry air: the condensation level is far above the thermal top, so the "
+        + "thermals stay invisible. Pilots have to find lift without clouds - look at the dew point spread "
+        + "and the humidity graph.",
+    settings: {solarStrength: 0.9, showCloudBase: true},
+    weatherStack: [
+        {alt: 0, temp: 28, windDir: 270, windSpeed: 2, humidity: 5},
+        {alt: 2200, temp: 7, windDir: 270, windSpeed: 3, humidity: 3.5},
+        {alt: 2600, temp: 6, windDir: 270, windSpeed: 4, humidity: 2},
+        {alt: 6000, temp: -16, windDir: 270, windSpeed: 6, humidity: 0.6},
+        {alt: 10000, temp: -45, windDir: 270, windSpeed: 8, humidity: 0.05}
+    ]
+});
+
+registerPreset({
+    id: 'overdevelopment',
+    name: "Overdevelopment",
+    description: "Hot, humid air and an atmosphere that is unstable for saturated air far aloft. Once the thermals "
+        + "reach cloudbase the released latent heat keeps the cloud rising: cumulus grows into congestus and "
+        + "cumulonimbus, the day ends in showers. Watch the CAPE area on the Skew-T diagram.",
+    settings: {solarStrength: 1.0, showCloudBase: true},
+    weatherStack: [
+        {alt: 0, temp: 30, windDir: 270, windSpeed: 1, humidity: 16},
+        {alt: 1500, temp: 16, windDir: 270, windSpeed: 2, humidity: 11},
+        {alt: 4000, temp: -1, windDir: 270, windSpeed: 4, humidity: 3},
+        {alt: 6000, temp: -17, windDir: 270, windSpeed: 5, humidity: 0.9},
+        {alt: 8500, temp: -37, windDir: 270, windSpeed: 7, humidity: 0.05},
+        {alt: 10000, temp: -38, windDir: 270, windSpeed: 9, humidity: 0.05}
+    ]
+});
+
+registerPreset({
+    id: 'stable',
+    name: "Stable day",
+    description: "Temperature decreases only slowly with height. The warmed air at the ground soon becomes as cold "
+        + "as its surroundings: thermals are weak, narrow and low, if there are any at all.",
+    settings: {solarStrength: 0.6, showCloudBase: true},
+    weatherStack: [
+        {alt: 0, temp: 20, windDir: 270, windSpeed: 2, humidity: 9},
+        {alt: 2000, temp: 12, windDir: 270, windSpeed: 3, humidity: 7},
+        {alt: 6000, temp: -12, windDir: 270, windSpeed: 6, humidity: 0.8},
+        {alt: 10000, temp: -42, windDir: 270, windSpeed: 8, humidity: 0.05}
+    ]
+});
+
+registerPreset({
+    id: 'wind-shear',
+    name: "Strong wind shear",
+    description: "A good lapse rate, but the wind turns from a light easterly breeze into a strong westerly above 1000m. "
+        + "The thermal column is bent over and torn apart in the shear layer; centring the lift gets hard "
+        + "and the clouds drift far from their source.",
+    settings: {solarStrength: 0.8, showCloudBase: true, showWindBarbs: true, showWindShear: true},
+    weatherStack: [
+        {alt: 0, temp: 26, windDir: 110, windSpeed: 2, humidity: 11},
+        {alt: 1000, temp: 16.5, windDir: 150, windSpeed: 1, humidity: 10},
+        {alt: 1800, temp: 9.5, windDir: 260, windSpeed: 9, humidity: 8},
+        {alt: 2500, temp: 4.5, windDir: 270, windSpeed: 10, humidity: 5},
+        {alt: 2800, temp: 6, windDir: 270, windSpeed: 10, humidity: 2.5},
+        {alt: 6000, temp: -15, windDir: 270, windSpeed: 10, humidity: 0.6},
+        {alt: 10000, temp: -45, windDir: 270, windSpeed: 10, humidity: 0.05}
+    ]
+});
+
+registerPreset({
+    id: 'terrain',
+    name: "Where to find lift",
+    description: "The same air over different ground. A ploughed field and the town heat the air the most and "
+        + "release the strongest thermals, the forest weaker ones, the lake and the snowfield on the mountain "
+        + "none. Thermals from the hill start higher. The labels on the ground show the temperature the air "
+        + "there needs to break away.",
+    settings: {solarStrength: 0.8, showCloudBase: true, thermalCount: 8, showCloudStreets: false},
+    weatherStack: [
+        {alt: 0, temp: 26, windDir: 270, windSpeed: 1, humidity: 11},
+        {alt: 1800, temp: 9, windDir: 270, windSpeed: 2, humidity: 8},
+        {alt: 2300, temp: 5.5, windDir: 270, windSpeed: 3, humidity: 5},
+        {alt: 2600, temp: 10, windDir: 270, windSpeed: 3, humidity: 2},
+        {alt: 6000, temp: -12, windDir: 270, windSpeed: 5, humidity: 0.6},
+        {alt: 10000, temp: -45, windDir: 270, windSpeed: 8, humidity: 0.05}
+    ],
+    terrain: [
+        {x: 0, elevation: 0, surface: 'lake'},
+        {x: 0.18, elevation: 0, surface: 'field'},
+        {x: 0.4, elevation: 0, surface: 'town'},
+        {x: 0.52, elevation: 0, surface: 'forest'},
+        {x: 0.7, elevation: 500, surface: 'grass'},
+        {x: 0.82, elevation: 800, surface: 'snow'},
+        {x: 1, elevation: 1000}
+    ]
+});
+
+registerPreset({
+    id: 'lee-waves',
+    name: "Ridge lift and lee waves",
+    description: "A cold, windy day. The wind blowing up the ridge gives ridge lift on the windward slope and sink "
+        + "behind it. The stable layer above the ridge top with the wind increasing above it traps lee waves: "
+        + "lenticulars mark the wave crests, the rotor under the first crest is turbulent. Weaken the wind or the "
+        + "stable layer and the waves go away.",
+    settings: {solarStrength: 0.3, showCloudBase: false, showWindBarbs: true, showOrographicLift: true, thermalCount: 1,
+        sectionAzimuth: 90},
+    weatherStack: [
+        {alt: 0, temp: 8, windDir: 270, windSpeed: 8, humidity: 4.5},
+        {alt: 1600, temp: -2, windDir: 270, windSpeed: 13, humidity: 2.4},
+        {alt: 2600, temp: 0, windDir: 270, windSpeed: 17, humidity: 4.1},
+        {alt: 4000, temp: -9, windDir: 270, windSpeed: 24, humidity: 1.5},
+        {alt: 6000, temp: -24, windDir: 270, windSpeed: 30, humidity: 0.2},
+        {alt: 10000, temp: -52, windDir: 270, windSpeed: 35, humidity: 0.02}
+    ],
+    terrain: [
+        {x: 0, elevation: 0, surface: 'field'},
+        {x: 0.03, elevation: 50, surface: 'forest'},
+        {x: 0.2, elevation: 1200, surface: 'snow'},
+        {x: 0.38, elevation: 100, surface: 'forest'},
+        {x: 0.45, elevation: 0, surface: 'grass'},
+        {x: 1, elevation: 0}
+    ]
+});
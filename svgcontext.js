@@ -0,0 +1,346 @@
+// Canvas 2D context that records SVG
+//
+// Implements the part of CanvasRenderingContext2D the drawing code of thermal.js uses, so the same functions can draw
+// a vector picture: paths with lines, arcs and ellipses, rectangles, text, linear and radial gradients, clipping,
+// line dashes, globalAlpha, save / restore, translate and scale. Text is measured with a real canvas when there is one.
+
+function SvgContext(width, height)
+{
+    this.width = width;
+    this.height = height;
+
+    this.fillStyle = "#000";
+    this.strokeStyle = "#000";
+    this.lineWidth = 1;
+    this.font = "10px sans-serif";
+    this.textAlign = 'start';
+    this.globalAlpha = 1.0;
+
+    this.defs = [];
+    this.body = [];
+    this.nextId = 0;
+    this.path = "";
+    this.pathStarted = false;
+    this.lineDash = [];
+    this.transform = {a: 1, e: 0, f: 0}; // uniform scale and translation
+    this.openGroups = 0; // clip groups opened since the last save()
+    this.stack = [];
+
+    var measureCanvas = typeof document !== 'undefined' ? document.createElement('canvas') : null;
+    this.measureContext = measureCanvas && measureCanvas.getContext ? measureCanvas.getContext('2d') : null;
+}
+
+function SvgGradient(type, coords)
+{
+    this.type = type;
+    this.coords = coords;
+    this.stops = [];
+}
+
+SvgGradient.prototype.addColorStop = function(offset, color)
+{
+    this.stops.push({offset: offset, color: color});
+};
+
+function escapeSvgText(text)
+{
+    return ("" + text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function getSvgColor(color)
+{
+    // rgba() is split into a color and an opacity, not every SVG reader knows rgba()
+    var match = /^rgba\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*\)$/.exec(color);
+    if (match) return {color: 'rgb(' + match[1] + ', ' + match[2] + ', ' + match[3] + ')', opacity: parseFloat(match[4])};
+    return {color: color, opacity: 1.0};
+}
+
+function formatSvgNumber(value)
+{
+    return "" + Math.round(value * 100) / 100;
+}
+
+// State
+
+SvgContext.prototype.save = function()
+{
+    this.stack.push({
+        fillStyle: this.fillStyle,
+        strokeStyle: this.strokeStyle,
+        lineWidth: this.lineWidth,
+        font: this.font,
+        textAlign: this.textAlign,
+        globalAlpha: this.globalAlpha,
+        lineDash: this.lineDash,
+        transform: {a: this.transform.a, e: this.transform.e, f: this.transform.f},
+        openGroups: this.openGroups
+    });
+    this.openGroups = 0;
+};
+
+SvgContext.prototype.restore = function()
+{
+    if (this.stack.length === 0) return;
+
+    while (this.openGroups > 0)
+    {
+        this.body.push('</g>');
+        --this.openGroups;
+    }
+
+    var state = this.stack.pop();
+    for (var key in state) this[key] = state[key];
+};
+
+SvgContext.prototype.translate = function(x, y)
+{
+    this.transform.e += this.transform.a * x;
+    this.transform.f += this.transform.a * y;
+};
+
+SvgContext.prototype.scale = function(x, y)
+{
+    // only uniform scaling, that is all the drawing code needs
+    this.transform.a *= x;
+};
+
+SvgContext.prototype.setLineDash = function(segments)
+{
+    this.lineDash = segments.slice();
+};
+
+SvgContext.prototype.getLineDash = function()
+{
+    return this.lineDash.slice();
+};
+
+// Paths
+
+SvgContext.prototype.point = function(x, y)
+{
+    return formatSvgNumber(this.transform.a * x + this.transform.e) + ' ' + formatSvgNumber(this.transform.a * y + this.transform.f);
+};
+
+SvgContext.prototype.beginPath = function()
+{
+    this.path = "";
+    this.pathStarted = false;
+};
+
+SvgContext.prototype.moveTo = function(x, y)
+{
+    this.path += 'M' + this.point(x, y) + ' ';
+    this.pathStarted = true;
+};
+
+SvgContext.prototype.lineTo = function(x, y)
+{
+    this.path += (this.pathStarted ? 'L' : 'M') + this.point(x, y) + ' ';
+    this.pathStarted = true;
+};
+
+SvgContext.prototype.closePath = function()
+{
+    this.path += 'Z ';
+};
+
+SvgContext.prototype.rect = function(x, y, width, height)
+{
+    this.moveTo(x, y);
+    this.lineTo(x + width, y);
+    this.lineTo(x + width, y + height);
+    this.lineTo(x, y + height);
+    this.closePath();
+};
+
+SvgContext.prototype.ellipse = function(x, y, radiusX, radiusY, rotation, startAngle, endAngle, counterClockwise)
+{
+    var self = this;
+    var a = this.transform.a;
+
+    function pointAt(angle)
+    {
+        var cos = Math.cos(angle), sin = Math.sin(angle);
+        var px = radiusX * cos, py = radiusY * sin;
+        return self.point(x + px * Math.cos(rotation) - py * Math.sin(rotation), y + px * Math.sin(rotation) + py * Math.cos(rotation));
+    }
+
+    var sweep = endAngle - startAngle;
+    if (counterClockwise) sweep = -sweep;
+    var full = sweep >= 2 * Math.PI;
+    if (!full) sweep = ((sweep % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+
+    var arc = 'A' + formatSvgNumber(radiusX * a) + ' ' + formatSvgNumber(radiusY * a) + ' ' + formatSvgNumber(rotation * 180 / Math.PI) + ' ';
+    var sweepFlag = counterClockwise ? 0 : 1;
+    var direction = counterClockwise ? -1 : 1;
+
+    this.path += (this.pathStarted ? 'L' : 'M') + pointAt(startAngle) + ' ';
+    this.pathStarted = true;
+
+    if (full)
+    {
+        // a single arc can not close on itself, so draw two halves
+        this.path += arc + '0 ' + sweepFlag + ' ' + pointAt(startAngle + direction * Math.PI) + ' ';
+        this.path += arc + '0 ' + sweepFlag + ' ' + pointAt(startAngle + direction * 2 * Math.PI) + ' ';
+    }
+    else
+    {
+        this.path += arc + (sweep > Math.PI ? '1 ' : '0 ') + sweepFlag + ' ' + pointAt(startAngle + direction * sweep) + ' ';
+    }
+};
+
+SvgContext.prototype.arc = function(x, y, radius, startAngle, endAngle, counterClockwise)
+{
+    this.ellipse(x, y, radius, radius, 0, startAngle, endAngle, counterClockwise);
+};
+
+// Painting
+
+SvgContext.prototype.createLinearGradient = function(x0, y0, x1, y1)
+{
+    return new SvgGradient('linear', [x0, y0, x1, y1]);
+};
+
+SvgContext.prototype.createRadialGradient = function(x0, y0, r0, x1, y1, r1)
+{
+    return new SvgGradient('radial', [x0, y0, r0, x1, y1, r1]);
+};
+
+SvgContext.prototype.paint = function(style)
+{
+    // Fill or stroke attribute value for a color or a gradient, gradients go to the defs
+    if (!(style instanceof SvgGradient))
+    {
+        var color = getSvgColor(style);
+        return {value: color.color, opacity: color.opacity * this.globalAlpha};
+    }
+
+    var id = 'g' + (this.nextId++);
+    var a = this.transform.a, e = this.transform.e, f = this.transform.f;
+    var c = style.coords;
+    var element = style.type === 'linear'
+        ? '<linearGradient id="' + id + '" gradientUnits="userSpaceOnUse" x1="' + formatSvgNumber(a * c[0] + e) + '" y1="' + formatSvgNumber(a * c[1] + f)
+            + '" x2="' + formatSvgNumber(a * c[2] + e) + '" y2="' + formatSvgNumber(a * c[3] + f) + '">'
+        : '<radialGradient id="' + id + '" gradientUnits="userSpaceOnUse" fx="' + formatSvgNumber(a * c[0] + e) + '" fy="' + formatSvgNumber(a * c[1] + f)
+            + '" cx="' + formatSvgNumber(a * c[3] + e) + '" cy="' + formatSvgNumber(a * c[4] + f) + '" r="' + formatSvgNumber(a * c[5]) + '">';
+
+    // canvas sorts the stops, SVG takes them in document order
+    var stops = style.stops.map(function(stop, i) { return {offset: stop.offset, color: stop.color, index: i}; });
+    stops.sort(function(a, b) { return a.offset - b.offset || a.index - b.index; });
+
+    stops.forEach(function(stop)
+    {
+        var color = getSvgColor(stop.color);
+        element += '<stop offset="' + stop.offset + '" stop-color="' + color.color + '" stop-opacity="' + color.opacity + '"/>';
+    });
+    element += style.type === 'linear' ? '</linearGradient>' : '</radialGradient>';
+    this.defs.push(element);
+
+    return {value: 'url(#' + id + ')', opacity: this.globalAlpha};
+};
+
+SvgContext.prototype.strokeAttributes = function()
+{
+    var paint = this.paint(this.strokeStyle);
+    var a = this.transform.a;
+    var attributes = 'fill="none" stroke="' + paint.value + '" stroke-width="' + formatSvgNumber(this.lineWidth * a) + '"';
+    if (paint.opacity < 1.0) attributes += ' stroke-opacity="' + paint.opacity + '"';
+    if (this.lineDash.length > 0) attributes += ' stroke-dasharray="' + this.lineDash.map(function(e) { return formatSvgNumber(e * a); }).join(' ') + '"';
+    return attributes;
+};
+
+SvgContext.prototype.fillAttributes = function()
+{
+    var paint = this.paint(this.fillStyle);
+    return 'fill="' + paint.value + '"' + (paint.opacity < 1.0 ? ' fill-opacity="' + paint.opacity + '"' : '');
+};
+
+SvgContext.prototype.fill = function()
+{
+    if (this.path !== "") this.body.push('<path d="' + this.path.trim() + '" ' + this.fillAttributes() + '/>');
+};
+
+SvgContext.prototype.stroke = function()
+{
+    if (this.path !== "") this.body.push('<path d="' + this.path.trim() + '" ' + this.strokeAttributes() + '/>');
+};
+
+SvgContext.prototype.clip = function()
+{
+    // Everything drawn until the matching restore() goes into a group clipped to the current path
+    var id = 'c' + (this.nextId++);
+    this.defs.push('<clipPath id="' + id + '"><path d="' + this.path.trim() + '"/></clipPath>');
+    this.body.push('<g clip-path="url(#' + id + ')">');
+    ++this.openGroups;
+};
+
+SvgContext.prototype.fillRect = function(x, y, width, height)
+{
+    var path = this.path, started = this.pathStarted;
+    this.beginPath();
+    this.rect(x, y, width, height);
+    this.fill();
+    this.path = path;
+    this.pathStarted = started;
+};
+
+SvgContext.prototype.strokeRect = function(x, y, width, height)
+{
+    var path = this.path, started = this.pathStarted;
+    this.beginPath();
+    this.rect(x, y, width, height);
+    this.stroke();
+    this.path = path;
+    this.pathStarted = started;
+};
+
+// Text
+
+SvgContext.prototype.fontAttributes = function()
+{
+    // "bold 15px Arial" style fonts, the way the drawing code sets them
+    var match = /^\s*(bold\s+)?([\d.]+)px\s+(.+)$/.exec(this.font);
+    var anchor = {center: ' text-anchor="middle"', right: ' text-anchor="end"', end: ' text-anchor="end"'}[this.textAlign] || '';
+    if (!match) return 'font-family="sans-serif"' + anchor;
+    return (match[1] ? 'font-weight="bold" ' : '') + 'font-size="' + formatSvgNumber(parseFloat(match[2]) * this.transform.a) + '" font-family="' + escapeSvgText(match[3]) + '"' + anchor;
+};
+
+SvgContext.prototype.fillText = function(text, x, y)
+{
+    this.body.push('<text xml:space="preserve" x="' + formatSvgNumber(this.transform.a * x + this.transform.e) + '" y="' + formatSvgNumber(this.transform.a * y + this.transform.f) + '" '
+        + this.fontAttributes() + ' ' + this.fillAttributes() + '>' + escapeSvgText(text) + '</text>');
+};
+
+SvgContext.prototype.strokeText = function(text, x, y)
+{
+    this.body.push('<text xml:space="preserve" x="' + formatSvgNumber(this.transform.a * x + this.transform.e) + '" y="' + formatSvgNumber(this.transform.a * y + this.transform.f) + '" '
+        + this.fontAttributes() + ' ' + this.strokeAttributes() + '>' + escapeSvgText(text) + '</text>');
+};
+
+SvgContext.prototype.measureText = function(text)
+{
+    if (this.measureContext !== null)
+    {
+        this.measureContext.font = this.font;
+        return this.measureContext.measureText(text);
+    }
+
+    // rough average glyph width without a canvas
+    var size = parseFloat((/([\d.]+)px/.exec(this.font) || [0, 10])[1]);
+    return {width: ("" + text).length * size * 0.55};
+};
+
+// Output
+
+SvgContext.prototype.getSvg = function()
+{
+    var body = this.body.slice();
+    for (var i = 0; i < this.openGroups; ++i) body.push('</g>');
+    this.stack.forEach(function(state) { for (var j = 0; j < state.openGroups; ++j) body.push('</g>'); });
+
+    return '<?xml version="1.0" encoding="UTF-8"?>\n'
+        + '<svg xmlns="http://www.w3.org/2000/svg" width="' + this.width + '" height="' + this.height + '" viewBox="0 0 ' + this.width + ' ' + this.height + '">\n'
+        + '<defs>' + this.defs.join('\n') + '</defs>\n'
+        + body.join('\n') + '\n'
+        + '</svg>\n';
+};
@@ -0,0 +1,213 @@
+// Checks of the headless model, run with: node --test test/
+
+var test = require('node:test');
+var assert = require('node:assert');
+var core = require('../thermalcore.js');
+
+function level(alt, temp, windSpeed, humidity)
+{
+    return {alt: alt, temp: temp, windDir: 270, windSpeed: windSpeed, humidity: humidity};
+}
+
+function getVapourPressure(dewPoint)
+{
+    // Magnus formula [hPa]
+    return 6.112 * Math.exp(17.67 * dewPoint / (dewPoint + 243.5));
+}
+
+function getAbsoluteHumidity(dewPoint, temp)
+{
+    // [g/m3]
+    return 100000.0 * getVapourPressure(dewPoint) / (461.5 * (temp + 273.15));
+}
+
+function getHandLcl(profile, surfaceTemp, dewPoint)
+{
+    // The parcel cools by g/cp and keeps its mixing ratio, the LCL is where its dew point reaches its temperature
+    var mixingRatio = 0.622 * getVapourPressure(dewPoint) / (profile.groundPressure / 100.0 - getVapourPressure(dewPoint));
+    for (var altitude = 0; altitude < core.calculationsMaxHeight; ++altitude)
+    {
+        var vapourPressure = mixingRatio * core.getProfilePressureAt(profile, altitude) / 100.0 / (0.622 + mixingRatio);
+        var parcelDewPoint = 243.5 * Math.log(vapourPressure / 6.112) / (17.67 - Math.log(vapourPressure / 6.112));
+        if (parcelDewPoint >= surfaceTemp - 9.80665 / 1005.7 * altitude) return altitude;
+    }
+    return null;
+}
+
+test("the cloudbase of the parcel method is the LCL of the dry adiabat", function()
+{
+    var profile = {groundPressure: 101325, levels: [level(0, 25, 0, getAbsoluteHumidity(13, 25)), level(3000, 0, 0, 3),
+        level(core.calculationsMaxHeight, -50, 0, 0.05)]};
+    var data = core.computeThermalData(profile, {solarStrength: 0.0, calculationResolution: 100});
+
+    // without the sun the parcel starts at the ground temperature
+    assert.ok(Math.abs(data.cloudBase - getHandLcl(profile, 25, 13)) < 30, "cloudbase " + data.cloudBase + " LCL " + getHandLcl(profile, 25, 13));
+
+    // dry adiabatic below the cloudbase
+    data.parcel.forEach(function(e)
+    {
+        if (e.altitude < data.cloudBase) assert.ok(Math.abs(e.temp - (25 - 9.80665 / 1005.7 * e.altitude)) < 0.01);
+    });
+});
+
+test("free convection from the LFC to the EL along the moist adiabat", function()
+{
+    // conditionally unstable up to 5000m, isothermal above
+    var profile = {groundPressure: 101325, levels: [level(0, 28, 0, getAbsoluteHumidity(20, 28)), level(5000, -5, 0, 1),
+        level(7000, -5, 0, 0.5), level(core.calculationsMaxHeight, -40, 0, 0.05)]};
+    var data = core.computeThermalData(profile, {solarStrength: 1.0, calculationResolution: 100});
+
+    assert.ok(data.lcl !== null && data.lfc !== null && data.equilibriumLevel !== null);
+    assert.ok(data.lcl <= data.lfc && data.lfc < data.equilibriumLevel);
+    assert.ok(data.equilibriumLevel >= 5000 && data.equilibriumLevel <= 7000, "EL " + data.equilibriumLevel);
+
+    // saturated the parcel cools much slower than g/cp, about 4 to 7K per km in the lower troposphere
+    function parcelAt(altitude) { return data.parcel.filter(function(e) { return e.altitude === altitude; })[0]; }
+    var bottom = Math.ceil(data.lcl / 100) * 100 + 100;
+    var lapseRate = (parcelAt(bottom).temp - parcelAt(bottom + 1000).temp) / 1.0;
+    assert.ok(lapseRate > 3.5 && lapseRate < 7.0, "moist lapse rate " + lapseRate + "K/km");
+    var middle = Math.round((data.lfc + data.equilibriumLevel) / 200) * 100;
+    assert.ok(parcelAt(middle).temp > core.getProfileTemperatureAt(profile, middle));
+});
+
+test("the forecast summarises the thermal", function()
+{
+    var settings = {solarStrength: 0.8, calculationResolution: 100};
+    var blue = {groundPressure: 101325, levels: [level(0, 25, 0, 2), level(core.calculationsMaxHeight, -45, 0, 0.05)]};
+    var forecast = core.getForecast(blue, settings, 250);
+
+    assert.strictEqual(forecast.cloudBase, null);
+    assert.strictEqual(forecast.cloudType, 'none');
+    assert.strictEqual(forecast.thermalTop, forecast.thermalData.thermalTop);
+    assert.ok(forecast.climbRates.length > 0);
+    forecast.climbRates.forEach(function(e, i)
+    {
+        assert.strictEqual(e.altitude, (i + 1) * 250);
+        assert.ok(e.altitude < forecast.thermalTop);
+    });
+    assert.ok(forecast.bestClimb.climbRate >= Math.max.apply(null, forecast.climbRates.map(function(e) { return e.climbRate; })));
+});
+
+test("lee waves with the stable layer near the top of the profile", function()
+{
+    // the upper air of the waves reaches above calculationsMaxHeight
+    var profile = {groundPressure: 101325, levels: [level(0, 15, 10, 5), level(2950, -4, 12, 2), level(6900, -30, 20, 0.5),
+        level(7100, -30, 22, 0.5), level(core.calculationsMaxHeight, -55, 35, 0.05)]};
+    var ridge = {x: 20000, top: 2950, base: 0, halfWidth: 3000};
+
+    var wave = core.computeWaveData(profile, ridge, 90);
+    assert.ok(wave.stableTop <= core.calculationsMaxHeight);
+    assert.ok(isFinite(core.getOrographicLiftAt(profile, wave, function() { return 0.0; }, 30000, 9900)));
+    assert.strictEqual(typeof core.isSaturatedWhenLifted(profile, 9900, 500), 'boolean');
+});
+
+test("scenario settings are checked against the allowed values", function()
+{
+    var doc = {
+        format: core.scenarioFormat,
+        version: core.scenarioVersion,
+        settings: {referencePressure: "x", humidityMode: "relative"},
+        weatherStack: [level(0, 20, 0, 50), level(core.calculationsMaxHeight, -45, 0, 50)]
+    };
+
+    var errors = core.validateScenario(doc);
+    assert.strictEqual(errors.length, 1);
+    assert.match(errors[0], /referencePressure/);
+
+    doc.settings.referencePressure = 1013.25;
+    assert.deepStrictEqual(core.validateScenario(doc), []);
+});
+
+test("a CSV sounding with the Wyoming column names is read as CSV", function()
+{
+    var sounding = core.parseSounding("PRES,HGHT,TEMP,DWPT,DRCT,SKNT\n1000,110,20.4,12.1,250,10\n850,1500,12.0,5.5,270,20\n");
+
+    assert.strictEqual(sounding.format, "CSV");
+    assert.deepStrictEqual(sounding.errors, []);
+    assert.strictEqual(sounding.levels.length, 2);
+    assert.strictEqual(sounding.levels[1].pressure, 85000);
+    assert.strictEqual(sounding.levels[1].height, 1500);
+    assert.strictEqual(sounding.levels[1].dewPoint, 5.5);
+    assert.strictEqual(sounding.levels[1].windDir, 270);
+    assert.ok(Math.abs(sounding.levels[1].windSpeed - 20 * 0.514444) < 1e-6);
+});
+
+test("a Wyoming TEXT:LIST sounding is read by its fixed width columns", function()
+{
+    var text = [
+        "72357 OUN Norman Observations at 12Z 01 Jun 2024",
+        "-----------------------------------------------------------------------------",
+        "   PRES   HGHT   TEMP   DWPT   RELH   MIXR   DRCT   SKNT   THTA   THTE   THTV",
+        "    hPa     m      C      C      %    g/kg    deg   knot     K      K      K ",
+        "-----------------------------------------------------------------------------",
+        "  967.0    357   22.2   18.2     78  13.81    160     10  298.2  338.2  300.7",
+        "  925.0    740         15.6                   200     25",
+        "",
+        "Station elevation: 357.0"
+    ].join("\n");
+
+    var sounding = core.parseSounding(text);
+    assert.strictEqual(sounding.format, "University of Wyoming TEXT:LIST");
+    assert.strictEqual(sounding.levels.length, 2);
+    assert.strictEqual(sounding.levels[1].temp, null);
+    assert.strictEqual(sounding.levels[1].dewPoint, 15.6);
+    assert.strictEqual(sounding.levels[1].windDir, 200);
+    assert.strictEqual(sounding.stationElevation, 357);
+});
+
+test("the cloud type follows the buoyancy in the cloud, not its depth", function()
+{
+    var profile = {groundPressure: 101325, levels: [level(0, 25, 0, 10), level(core.calculationsMaxHeight, -45, 0, 0.05)]};
+    var thermalData = {cloudBase: 1500, thermalTop: 4500, cloudEnergy: 5};
+
+    assert.strictEqual(core.classifyCloud(profile, thermalData), 'humilis');
+    thermalData.cloudEnergy = 500;
+    assert.strictEqual(core.classifyCloud(profile, thermalData), 'congestus');
+    assert.strictEqual(core.classifyCloud(profile, thermalData, 1200), 'none');
+});
+
+test("a CSV dew point column named after the temperature is the dew point", function()
+{
+    var sounding = core.parseSounding("Pressure,Height,Temperature,Dewpoint Temperature,Direction,Speed\n1000,110,20,12,250,5\n850,1500,12,5,270,10\n");
+
+    assert.strictEqual(sounding.levels.length, 2);
+    assert.strictEqual(sounding.levels[0].temp, 20);
+    assert.strictEqual(sounding.levels[0].dewPoint, 12);
+
+    var result = core.buildProfileFromSounding(sounding);
+    assert.strictEqual(result.profile.levels[0].temp, 20);
+    assert.ok(result.report.every(function(line) { return line.indexOf("missing dew point") < 0; }));
+});
+
+test("a Wyoming table without wind columns imports calm levels", function()
+{
+    var text = [
+        "   PRES   HGHT   TEMP   DWPT",
+        "    hPa     m      C      C ",
+        "----------------------------",
+        "  967.0    357   22.2   18.2",
+        "  850.0   1500   14.0    8.0",
+        ""
+    ].join("\n");
+
+    var sounding = core.parseSounding(text);
+    assert.strictEqual(sounding.levels[0].windDir, null);
+    assert.strictEqual(sounding.levels[0].windSpeed, null);
+
+    var result = core.buildProfileFromSounding(sounding);
+    assert.notStrictEqual(result.profile, null);
+    assert.deepStrictEqual(core.validateProfileLevels(result.profile.levels), []);
+    assert.strictEqual(result.profile.levels[0].windDir, 0);
+});
+
+test("the best climb is below the cloudbase", function()
+{
+    // moist and unstable: the climb keeps increasing in the cloud
+    var profile = {groundPressure: 101325, levels: [level(0, 30, 0, 16), level(1500, 15, 0, 12), level(6000, -18, 0, 2),
+        level(core.calculationsMaxHeight, -50, 0, 0.05)]};
+    var forecast = core.getForecast(profile, {solarStrength: 1.0, calculationResolution: 100}, 100);
+
+    assert.ok(forecast.thermalTop > forecast.cloudBase);
+    assert.ok(forecast.bestClimb.altitude < forecast.cloudBase);
+    assert.ok(forecast.bestClimb.climbRate > 0.0);
+});
@@ -4,25 +4,186 @@ const referenceHeight = 670;
 
 const defaultGroundTemperature = 25;
 const defaultTemperatureGradient = 0.7; // [K/100m]
-const calculationsMaxHeight = 10000;
 
 const thermalInitialWidth = 30;
 const thermalExpansionRatio = 0.65; // [%/1000m]
-
-// Thermal impulse simulation
-const thermalInitialImpulse = 1.8; // Multiplier for initial thermal strength (applied to current solar strength)
-const thermalStagnantGradient = -0.39; // [K/100m] Temperature gradient at which thermal impulse is constant
-const thermalImpulseTangentRatio = 0.4; // Ratio of how much thermal impulse change in function of deviation from stagnant gradient
-const condensationCompensation = 0.38; // [1/100m] How much impulse to be lost when rising while condensing (in clouds)
-const inversionCompensation = 2.5; // Multiplier to impulse loss in inversion layers
+const thermalMinStrength = 0.6; // range of the seeded size distribution, 1.0 is the surface excess of the profile
+const thermalMaxStrength = 1.3;
+const thermalBubbleAge = 0.25; // part of the lifecycle spent as a rising bubble
+const thermalDecayAge = 0.75; // from here on the thermal is cut off from the ground and dissolves
+const thermalStreetSpacing = 2.5; // cloud street spacing in boundary layer depths
+
+// Diurnal cycle
+const diurnalHeatingRate = 4.0; // [K/h] Surface warming with the sun in zenith
+const diurnalRelaxation = 0.3; // [1/h] How fast the surface temperature excess is lost to the ground and the air
+const diurnalRadiativeCooling = 1.0; // [K/h] Constant longwave cooling of the surface
+const diurnalIntegrationStep = 5; // [min]
+const groundInversionDepth = 150; // [m] e-folding depth of the night time ground inversion
+const dayTimerInterval = 150; // [ms] between simulation steps when playing
+const dayTimerStep = 10; // [min] simulated time per step when playing
+
+// Glider
+const gliderPolars = {
+    // 3 points of the speed polar: [speed km/h, sink m/s]
+    trainer: {name: "Trainer (two-seater)", points: [[75, 0.68], [110, 1.05], [150, 2.0]]},
+    club: {name: "Club class", points: [[80, 0.62], [120, 0.95], [160, 1.95]]},
+    open: {name: "Open class", points: [[85, 0.45], [130, 0.75], [180, 1.6]]}
+};
+const gliderBankAngle = 35; // [deg] while circling in the thermal
+const gliderLaunchAltitude = 300; // [m]
+const gliderTimeScale = 20; // simulated seconds per real second
+const gliderFrameInterval = 40; // [ms]
+
+// Cross-country planner
+const xcClimbStep = 50; // [m] through the working band
+const xcMinClimb = 0.2; // [m/s] the pilot leaves the thermal when the climb gets weaker than this
+const xcMinBand = 200; // [m] a shorter climb is no working band
+const xcMaxMacCready = 5.0; // [m/s] right end of the speed chart
+const xcChartMargin = 36; // [px] room for the scales of the charts
+const xcReasons = {
+    // why getCrossCountryPlan() found no plan
+    polar: "Invalid polar",
+    band: "The working band is not within the thermal",
+    weak: "Too weak to climb at the bottom of the working band"
+};
+
+// Audio vario
+const varioToneProfiles = {
+    // lift: beeping above liftThreshold, pitch and beep rate rising with the climb
+    // sink: continuous tone below sinkThreshold, pitch falling with the sink
+    classic: {name: "Classic", wave: 'sine', liftFrequency: 700, liftFrequencyStep: 100, beepRate: 2.0, beepRateStep: 1.2,
+        liftThreshold: 0.2, sinkFrequency: 400, sinkFrequencyStep: 40, sinkThreshold: -1.5, volume: 0.25},
+    soft: {name: "Soft", wave: 'triangle', liftFrequency: 500, liftFrequencyStep: 70, beepRate: 1.5, beepRateStep: 0.8,
+        liftThreshold: 0.3, sinkFrequency: 300, sinkFrequencyStep: 25, sinkThreshold: -2.0, volume: 0.3},
+    digital: {name: "Digital", wave: 'square', liftFrequency: 900, liftFrequencyStep: 120, beepRate: 3.0, beepRateStep: 1.5,
+        liftThreshold: 0.1, sinkFrequency: 450, sinkFrequencyStep: 50, sinkThreshold: -1.0, volume: 0.08}
+};
+const varioMaxClimb = 8.0; // [m/s] tone stops changing above this
+const varioAudioInterval = 50; // [ms]
+const varioBeepDuty = 0.5; // part of the beep period the tone sounds
+
+// Units: display value = internal value * factor + offset
+const displayUnits = {
+    altitude: {setting: 'altitudeUnit', units: {
+        m: {label: "m", factor: 1.0, offset: 0.0, decimals: 0, rounding: 1},
+        ft: {label: "ft", factor: 1.0 / 0.3048, offset: 0.0, decimals: 0, rounding: 10}
+    }},
+    temperature: {setting: 'temperatureUnit', units: {
+        C: {label: "°C", factor: 1.0, offset: 0.0, decimals: 2, rounding: 0.1, tickStep: 10, sliderStep: 1},
+        F: {label: "°F", factor: 1.8, offset: 32.0, decimals: 2, rounding: 0.1, tickStep: 20, sliderStep: 1}
+    }},
+    speed: {setting: 'speedUnit', units: {
+        ms: {label: " m/s", factor: 1.0, offset: 0.0, decimals: 2, rounding: 0.1, sliderStep: 0.5},
+        kt: {label: " kt", factor: 3.6 / 1.852, offset: 0.0, decimals: 2, rounding: 0.1, sliderStep: 1}
+    }},
+    airspeed: {setting: 'speedUnit', units: {
+        ms: {label: " km/h", factor: 1.0, offset: 0.0, decimals: 0, rounding: 1},
+        kt: {label: " kt", factor: 1.0 / 1.852, offset: 0.0, decimals: 0, rounding: 1}
+    }},
+    distance: {setting: 'speedUnit', units: {
+        ms: {label: " km", factor: 0.001, offset: 0.0, decimals: 1, rounding: 0.1},
+        kt: {label: " NM", factor: 1.0 / 1852.0, offset: 0.0, decimals: 1, rounding: 0.1}
+    }},
+    pressure: {setting: 'pressureUnit', units: {
+        hpa: {label: "hPa", factor: 1.0, offset: 0.0, decimals: 2, rounding: 1, tickStep: 200},
+        inhg: {label: "inHg", factor: 1.0 / 33.8639, offset: 0.0, decimals: 3, rounding: 0.01, tickStep: 5}
+    }}
+};
 
 // Graphics
 const grassHeight = 60;
 const altimeterWidth = 60;
 const cloudPuffMaxRadius = 35;
-const windSliderExtreme = 10; // [m/s]
+const windSliderMax = 25; // [m/s]
+const windBarbInterval = 500; // [m]
+const windBarbLength = 28; // [px]
+const strongWindShear = 0.008; // [1/s] vector difference per height, 8 m/s per km
+const orographicCellSize = 12; // [px] of the climb and sink shading
+const orographicMinLift = 0.2; // [m/s] weaker climb and sink is not shaded
+const orographicFullLift = 5.0; // [m/s] shaded at full opacity
+const orographicOpacity = 0.45;
+const orographicStreamlineSpacing = 500; // [m]
+const rotorMinAmplitude = 150; // [m] weaker waves have no rotor under their crests
+const waveReasons = {
+    // why computeWaveData() found no lee waves
+    ridge: "No ridge in the terrain to blow across",
+    wind: "Too little wind across the ridge for lee waves",
+    stable: "No stable layer above the ridge: no lee waves",
+    increase: "The wind does not increase above the stable layer: no lee waves",
+    trapping: "The stable layer is too weak to trap lee waves"
+};
 const tempSliderExtreme = 32; // [C]
 const humiSliderExtreme = 15; // [g/m3]
+const humiSpreadExtreme = 20; // [K] dew point spread shown as completely dry
+const curveGrabDistance = 8; // [px] how close the mouse has to be to a curve or a level to grab it
+const curveLevelSnap = 10; // [m] levels added on the curves are rounded to this
+const comparisonSettings = ['solarStrength', 'referencePressure', 'pressureReference', 'fieldElevation', 'showDiurnalCycle',
+    'timeOfDay', 'simulationDate', 'latitude', 'terrain']; // each pane of the comparison has its own, the display settings are shared
+const comparisonStep = 50; // [m] layers compared between the panes
+const comparisonTempThreshold = 0.5; // [K] smaller differences are not marked
+const comparisonHumiThreshold = 0.5; // [g/m3]
+const comparisonStripWidth = 8; // [px] of each difference strip along the divider
+const quizCloudBaseTolerance = 200; // [m]
+const quizThermalTopTolerance = 300; // [m]
+const quizClimbTolerance = 0.3; // [m/s] weaker than the strongest climb, still counts as the best altitude
+const quizMinThermalTop = 300; // [m] random profiles with lower thermals are not asked
+const lessonFrameInterval = 40; // [ms]
+const lessonAnimationDuration = 1500; // [ms] from one lesson step to the next
+const lessonAnimatedSettings = ['solarStrength', 'maxShownAltitude', 'timeOfDay', 'sectionAzimuth']; // the others switch at once
+const defaultTerrain = [{x: 0, elevation: 0, surface: 'grass'}, {x: 1, elevation: 0, surface: 'grass'}];
+const surfaceColors = {
+    grass: {fill: "#090", text: "#fff"},
+    field: {fill: "#8a5a2e", text: "#fff"},
+    forest: {fill: "#24502a", text: "#fff"},
+    lake: {fill: "#3a78c8", text: "#fff"},
+    town: {fill: "#8c8c8c", text: "#fff"},
+    snow: {fill: "#f2f6fa", text: "#333"}
+};
+const exportSkyTopColor = "#c7dee8"; // background of the canvas in thermal.css
+const exportSkyBottomColor = "#b0c7e8";
+const exportMinSize = 200; // [px]
+const exportMaxSize = 4000; // [px]
+
+// Stability indices panel: rows in the order shown, interpretations from the lowest value up as
+// [upper limit, color, meaning]
+const indexRows = [
+    {key: 'cape', name: "CAPE", unit: " J/kg", decimals: 0,
+        title: "Convective available potential energy: the energy the parcel gains rising freely from the LFC to the EL",
+        meanings: [[1, "#888", "No free convection"], [300, "#2a2", "Weak: flat cumulus"], [1000, "#db0", "Moderate: towering cumulus, showers"],
+            [2500, "#f80", "Strong: thunderstorms likely"], [Infinity, "#d00", "Very strong: severe thunderstorms"]]},
+    {key: 'cin', name: "CIN", unit: " J/kg", decimals: 0,
+        title: "Convective inhibition: the energy the parcel needs to get through the stable air below the LFC",
+        meanings: [[-100, "#888", "Strong lid: convection hardly starts"], [-25, "#db0", "Moderate lid"], [Infinity, "#2a2", "Weak lid: convection starts easily"]]},
+    {key: 'liftedIndex', name: "Lifted index", unit: "", decimals: 1,
+        title: "The environment minus the surface parcel at 500hPa",
+        meanings: [[-6, "#d00", "Very unstable: severe thunderstorms"], [-3, "#f80", "Unstable: thunderstorms likely"],
+            [0, "#db0", "Slightly unstable: showers possible"], [3, "#2a2", "Slightly stable"], [Infinity, "#888", "Stable"]]},
+    {key: 'kIndex', name: "K-index", unit: "", decimals: 0,
+        title: "T850 - T500 + Td850 - (T700 - Td700): the lapse rate and the moisture of the middle air",
+        meanings: [[20, "#2a2", "Thunderstorms unlikely"], [25, "#db0", "Isolated thunderstorms"], [30, "#db0", "Widely scattered thunderstorms"],
+            [35, "#f80", "Scattered thunderstorms"], [Infinity, "#d00", "Numerous thunderstorms"]]},
+    {key: 'showalter', name: "Showalter", unit: "", decimals: 1,
+        title: "The environment minus a parcel lifted from 850hPa at 500hPa, not affected by the air near the ground",
+        meanings: [[-3, "#d00", "Severe thunderstorms possible"], [1, "#f80", "Thunderstorms possible"], [3, "#db0", "Showers possible"],
+            [Infinity, "#2a2", "Stable"]]}
+    // the thermal index levels, the freezing level and the convective temperature follow, see createIndexPanel()
+];
+const thermalIndexMeanings = [[-4, "#070", "Strong thermals"], [-2, "#2a2", "Good thermals"], [0, "#db0", "Weak thermals"], [Infinity, "#888", "No thermals"]];
+const indexHighlightColor = "rgba(255, 220, 0, 0.35)";
+
+// Skew-T log-P diagram
+const skewBottomPressure = 105000.0; // [Pa]
+const skewTopPressure = 25000.0; // [Pa]
+const skewMinTemp = -40.0; // [C] at the bottom left corner
+const skewMaxTemp = 40.0; // [C] at the bottom right corner
+const skewShift = 60.0; // [C] how far isotherms are shifted to the right over the full height of the diagram
+const skewMargin = 40; // [px] room for the pressure and temperature scales
+const skewMixingRatios = [0.4, 1, 2, 4, 7, 10, 16, 24]; // [g/kg]
+
+// Undo history
+const historyMaxSteps = 100;
+const historyMergeTime = 1000; // [ms] repeated changes of the same control within this are one step
+const historyFieldNames = {temp: "Temperature", dewPoint: "Dew point", windSpeed: "Wind speed", windDir: "Wind direction", humidity: "Humidity"};
 
 // Tweakables
 var maxShownAltitude = 6000; // [m]
@@ -36,23 +197,147 @@ var showCloudBase = false;
 var showHumidityColoring = false;
 var showHumidityColoringHalf = false;
 var humidityColoringOpacity = 0.6;
-var groundPressure = 101325.0; // [Pa]
+var humidityMode = 'relative'; // relative, absolute or spread
+var groundPressure = 101325.0; // [Pa] QFE, derived from the pressure settings below
+var pressureReference = 'qnh'; // qnh or qfe
+var referencePressure = 1013.25; // [hPa] QNH or QFE as entered
+var fieldElevation = 0; // [m] above mean sea level
+var pressureScale = 'none'; // secondary altimeter scale: none, hpa or fl
 var defaultGroundAbsoluteHumidity = 10.0;
 var showVario = false;
 var solarStrength = 0.8;
 var lockSolarToTemps = false;
 var varioInterval = 500; // [m]
 var showTempGraph = false;
+var showHumiGraph = false;
+var showPressGraph = false;
+var showSkewDiagram = false;
+var showSkewSideBySide = false;
+var showIndices = false;
+var altitudeUnit = 'm'; // keys of displayUnits
+var temperatureUnit = 'C';
+var speedUnit = 'ms';
+var pressureUnit = 'hpa';
+var showDiurnalCycle = false;
+var timeOfDay = 9.0; // [h] local solar time
+var simulationDate = '2018-06-21';
+var latitude = 47.5; // [deg]
+var sectionAzimuth = 90; // [deg] direction the right side of the cross-section points to
+var showWindBarbs = false;
+var showWindShear = false;
+var showOrographicLift = false;
+var terrain = defaultTerrain; // replaced as a whole when edited
+var thermalCount = 1;
+var thermalSeed = 1;
+var showCloudStreets = false;
+var showGlider = false;
+var gliderPolar = 'club'; // key of gliderPolars or custom
+var customPolarSpeed1 = 80; // [km/h]
+var customPolarSink1 = 0.7; // [m/s]
+var customPolarSpeed2 = 120;
+var customPolarSink2 = 1.1;
+var customPolarSpeed3 = 160;
+var customPolarSink3 = 2.2;
+var showXcPlanner = false;
+var xcBandBottom = 800; // [m]
+var xcBandTop = 2000; // [m]
+var varioAudio = false;
+var varioToneProfile = 'classic'; // key of varioToneProfiles
 // TODO dew point chart
 
+// GUI controls of the tweakables above, these are also the settings saved in scenarios. Their values are checked
+// against scenarioSettings in thermalcore.js, a new setting goes there too.
+const guiSettings = [
+    // quantity: the control shows the setting in the selected display unit
+    {id: 'numMaxAltitude', setting: 'maxShownAltitude', quantity: 'altitude'},
+    {id: 'numAltitudeResolution', setting: 'altimeterResolution', quantity: 'altitude'},
+    {id: 'cbTempColoring', setting: 'showTemperatureColoring'},
+    {id: 'cbTempColoringHalf', setting: 'showTemperatureColoringHalf'},
+    {id: 'numTempColoringOpacity', setting: 'temperatureColoringOpacity'},
+    {id: 'cbFullWidthAltLines', setting: 'showFullWidthLines'},
+    {id: 'cbShowCloudbase', setting: 'showCloudBase'},
+    {id: 'cbHumiColoring', setting: 'showHumidityColoring'},
+    {id: 'cbHumiColoringHalf', setting: 'showHumidityColoringHalf'},
+    {id: 'numHumiColoringOpacity', setting: 'humidityColoringOpacity'},
+    {id: 'selHumiMode', setting: 'humidityMode'},
+    {id: 'numGroundPressure', setting: 'referencePressure', quantity: 'pressure'},
+    {id: 'selPressureReference', setting: 'pressureReference'},
+    {id: 'numFieldElevation', setting: 'fieldElevation', quantity: 'altitude'},
+    {id: 'selPressureScale', setting: 'pressureScale'},
+    {id: 'cbThermalVario', setting: 'showVario'},
+    {id: 'numSolarStrength', setting: 'solarStrength'},
+    {id: 'cbLockSolarTemps', setting: 'lockSolarToTemps'},
+    {id: 'numVarioResolution', setting: 'varioInterval', quantity: 'altitude'},
+    {id: 'cbDiurnalCycle', setting: 'showDiurnalCycle'},
+    {id: 'numTimeOfDay', setting: 'timeOfDay'},
+    {id: 'dateSimulation', setting: 'simulationDate'},
+    {id: 'numLatitude', setting: 'latitude'},
+    {id: 'numSectionAzimuth', setting: 'sectionAzimuth'},
+    {id: 'cbWindBarbs', setting: 'showWindBarbs'},
+    {id: 'cbWindShear', setting: 'showWindShear'},
+    {id: 'cbOrographicLift', setting: 'showOrographicLift'},
+    {id: 'numThermalCount', setting: 'thermalCount'},
+    {id: 'numThermalSeed', setting: 'thermalSeed'},
+    {id: 'cbCloudStreets', setting: 'showCloudStreets'},
+    {id: 'cbGlider', setting: 'showGlider'},
+    {id: 'selGliderPolar', setting: 'gliderPolar'},
+    {id: 'numPolarSpeed1', setting: 'customPolarSpeed1', quantity: 'airspeed'},
+    {id: 'numPolarSink1', setting: 'customPolarSink1', quantity: 'speed'},
+    {id: 'numPolarSpeed2', setting: 'customPolarSpeed2', quantity: 'airspeed'},
+    {id: 'numPolarSink2', setting: 'customPolarSink2', quantity: 'speed'},
+    {id: 'numPolarSpeed3', setting: 'customPolarSpeed3', quantity: 'airspeed'},
+    {id: 'numPolarSink3', setting: 'customPolarSink3', quantity: 'speed'},
+    {id: 'cbXcPlanner', setting: 'showXcPlanner'},
+    {id: 'numXcBandBottom', setting: 'xcBandBottom', quantity: 'altitude'},
+    {id: 'numXcBandTop', setting: 'xcBandTop', quantity: 'altitude'},
+    {id: 'cbVarioAudio', setting: 'varioAudio'},
+    {id: 'selVarioTone', setting: 'varioToneProfile'},
+    {id: 'cbTempGraph', setting: 'showTempGraph'},
+    {id: 'cbHumiGraph', setting: 'showHumiGraph'},
+    {id: 'cbPressGraph', setting: 'showPressGraph'},
+    {id: 'cbSkewDiagram', setting: 'showSkewDiagram'},
+    {id: 'cbSkewSideBySide', setting: 'showSkewSideBySide'},
+    {id: 'cbIndices', setting: 'showIndices'},
+    {id: 'selAltitudeUnit', setting: 'altitudeUnit'},
+    {id: 'selTemperatureUnit', setting: 'temperatureUnit'},
+    {id: 'selSpeedUnit', setting: 'speedUnit'},
+    {id: 'selPressureUnit', setting: 'pressureUnit'}
+];
+
 var wrapperDiv;
 var canvas;
 var context;
+var landscapeWidth = 0;
+var sceneHeight = 0; // [px] the scene is laid out for, see drawScene()
 
 var redrawTimer = null;
 var spinnerRedrawTimer = null;
 
 var weatherStack = [];
+var weatherPresets = [];
+var lessons = [];
+var lesson = null; // {lesson, steps, index, timer} while a lesson is shown
+var diurnalBaseStack = null; // the morning sounding the day cycle develops from
+var dayTimer = null;
+var glider = null; // {altitude, phase, climb, status}
+var gliderTimer = null;
+var lastThermalData = null;
+var thermalFieldCache = {key: null, thermals: null}; // the parcel ascents of the field only change with the model
+var varioProbeAltitude = 1000; // [m]
+var varioProbeDragging = false;
+var varioMuted = false;
+var audioContext = null;
+var varioOscillator = null;
+var varioGain = null;
+var varioAudioTimer = null;
+var varioNextBeep = 0; // audio context time of the next beep
+var highlightedIndex = null; // row of the stability indices panel under the mouse
+var comparison = null; // {side, other, paneWidth} while two scenarios are shown side by side, side is the edited one
+var quiz = null; // {source, random, presetIndex, question, score, maxScore, revealed} while the quiz runs
+var curveDrag = null; // {fieldName, altitude} of the temperature or dew point point being dragged
+var editHistory = {entries: [], index: -1}; // entries {label, state, text, mergeKey, time}, index is the shown one
+var historyDragging = false; // a slider drag is recorded as one step when it ends
+var showHistoryList = false; // not a setting: undoing must not hide the list
 
 var displayScale = 1.0;
 var userScale = 1.0;
@@ -63,9 +348,18 @@ const maxBlue = 190;
 const maxTemp = 37.0;
 const maxRed = 255;
 
-function roundToDecim(num, decim)
+function createRandom(seed)
 {
-    return Math.round((num + Math.pow(10, -decim * 2)) * Math.pow(10, decim)) / Math.pow(10, decim);
+    // Seeded pseudo random generator (mulberry32), returns numbers in [0, 1)
+    var state = seed >>> 0;
+    return function()
+    {
+        state = (state + 0x6D2B79F5) >>> 0;
+        var t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
 }
 
 function getRgbForTemp(temp)
@@ -79,12 +373,33 @@ function getRgbForTemp(temp)
 }
 
 // Humidity colorings
+const humiDryColor = {r: 255, g: 255, b: 255};
+const humiWetColor = {r: 0, g: 119, b: 255};
 
 function getRgbForHumi(humi)
 {
-    if (humi < 0) return {r: 255, g: 255, b: 255};
-    if (humi > 100) return {r: 0, g: 0, b: 255};
-    return {r: 0, g: 0, b: Math.round((humi * 255) / 100)};
+    if (humi < 0) return humiDryColor;
+    if (humi > 100) return humiWetColor;
+    var ratio = humi / 100;
+    return {
+        r: Math.round(humiDryColor.r + (humiWetColor.r - humiDryColor.r) * ratio),
+        g: Math.round(humiDryColor.g + (humiWetColor.g - humiDryColor.g) * ratio),
+        b: Math.round(humiDryColor.b + (humiWetColor.b - humiDryColor.b) * ratio)
+    };
+}
+
+function getHumidityScale()
+{
+    // Range, unit and the percentage used for coloring of the selected humidity representation
+    switch (humidityMode)
+    {
+        case 'absolute':
+            return {name: "Absolute humidity", unit: "g/m³", min: 0, max: humiSliderExtreme, toPercent: function(v) { return v * 100 / humiSliderExtreme; }};
+        case 'spread':
+            return {name: "Dew point spread", unit: "K", min: 0, max: humiSpreadExtreme, toPercent: function(v) { return 100 - v * 100 / humiSpreadExtreme; }};
+        default:
+            return {name: "Relative humidity", unit: "%", min: 0, max: 100, toPercent: function(v) { return v; }};
+    }
 }
 
 // =====================================================================================================================
@@ -106,91 +421,153 @@ function s(x)
     return scale(x);
 }
 
-function getYOfAltitude(altitude)
+// =====================================================================================================================
+// =====================================================================================================================
+// Units
+// Everything is calculated and stored in m, °C, m/s, km/h (polar) and hPa, only shown values are converted
+
+function getUnit(quantity)
 {
-    var drawHeight = canvas.height() - grassHeight;
-    return drawHeight - ((altitude / maxShownAltitude) * drawHeight);
+    var entry = displayUnits[quantity];
+    return entry.units[window[entry.setting]];
 }
 
-function stopSpinnerRedraw()
+function toDisplayUnit(quantity, value)
 {
-    if (spinnerRedrawTimer != null) clearInterval(spinnerRedrawTimer);
+    var unit = getUnit(quantity);
+    return value * unit.factor + unit.offset;
 }
 
-// =====================================================================================================================
-// =====================================================================================================================
-// Meteorological calculations
+function fromDisplayUnit(quantity, value)
+{
+    var unit = getUnit(quantity);
+    return (value - unit.offset) / unit.factor;
+}
+
+function getDisplayValue(quantity, value)
+{
+    // The value as shown in an input field
+    var power = Math.pow(10, getUnit(quantity).decimals);
+    return Math.round(toDisplayUnit(quantity, value) * power) / power;
+}
+
+function formatValue(quantity, value, signed)
+{
+    // The value with its unit for labels on the canvas
+    var unit = getUnit(quantity);
+    var steps = Math.round(toDisplayUnit(quantity, value) / unit.rounding);
+    var text = unit.rounding < 1 ? (steps * unit.rounding).toFixed(-Math.floor(Math.log10(unit.rounding))) : "" + steps * unit.rounding;
+    return (signed && steps > 0 ? "+" : "") + text + unit.label;
+}
+
+function getNiceStep(step)
+{
+    // 1, 2 or 5 times a power of ten, so spinners on converted fields stay on round values
+    var magnitude = Math.pow(10, Math.floor(Math.log10(step)));
+    var mantissa = step / magnitude;
+    return (mantissa < 1.5 ? 1 : mantissa < 3.5 ? 2 : mantissa < 7.5 ? 5 : 10) * magnitude;
+}
+
+function getUnitsKey()
+{
+    return [altitudeUnit, temperatureUnit, speedUnit, pressureUnit].join();
+}
+
+function updateUnitControls()
+{
+    // Unit labels, limits and values of the GUI controls bound to a quantity
+    $('.unitLabel').each(function()
+    {
+        $(this).text(getUnit($(this).data('quantity')).label.trim());
+    });
+
+    guiSettings.forEach(function(e)
+    {
+        if (!e.quantity) return;
+
+        var control = $('#' + e.id);
+        if (control.data('metricMin') === undefined)
+        {
+            control.data('metricMin', parseFloat(control.attr('min')));
+            control.data('metricMax', parseFloat(control.attr('max')));
+            control.data('metricStep', parseFloat(control.attr('step')));
+        }
 
-function getPressureAtAltitude(groundP, altitude, temperature)
+        var step = getNiceStep(Math.abs(control.data('metricStep') * getUnit(e.quantity).factor));
+        control.attr('step', step);
+        control.attr('min', parseFloat((Math.ceil(toDisplayUnit(e.quantity, control.data('metricMin')) / step) * step).toPrecision(12)));
+        control.attr('max', parseFloat((Math.floor(toDisplayUnit(e.quantity, control.data('metricMax')) / step) * step).toPrecision(12)));
+        control.val(getDisplayValue(e.quantity, window[e.setting]));
+    });
+}
+
+function getLandscapeWidth()
 {
-    // Hypsometric formula - only below 10000m
-    return groundP * Math.pow(1 - (0.0065 * altitude) / (temperature + 0.0065 * altitude + 273.15), 5.257);
+    return landscapeWidth;
 }
 
-function getSaturatedDensityFor(temperature)
+function getYOfAltitude(altitude)
 {
-    // Empirical fit to data table
-    // http://hyperphysics.phy-astr.gsu.edu/hbase/Kinetic/relhum.html#c4
-    return 5.018 + 0.32321 * temperature + 8.1847 * 0.001 * temperature * temperature + 3.1243 * 0.0001 * Math.pow(temperature, 3);
+    var drawHeight = sceneHeight - grassHeight;
+    return drawHeight - ((altitude / maxShownAltitude) * drawHeight);
 }
 
-function getRelativeHumidity(absolute, altitude, pressure, temperature)
+function getAltitudeOfY(y)
 {
-    return absolute / getSaturatedDensityFor(temperature);
+    var drawHeight = sceneHeight - grassHeight;
+    return (drawHeight - y) / drawHeight * maxShownAltitude;
 }
 
-function getDewPoint(temperature, relativeHumidity)
+function stopSpinnerRedraw()
 {
-    // TODO this fails to calculate DP above ~6100m - and I have a feeling that the whole formula is bullshit...
-    var H = ((Math.log(relativeHumidity * 100) / Math.log(10)) - 2) / 0.4343 + (17.62 * temperature) / (243.12 + temperature);
-    return 243.12 * H / (17.62 - H);
+    if (spinnerRedrawTimer != null) clearInterval(spinnerRedrawTimer);
 }
 
 // =====================================================================================================================
 // =====================================================================================================================
 // WeatherStack utilities
+// The calculations themselves are in thermalcore.js, these hand it the weatherStack and the settings of the page.
+
+function updateGroundPressure()
+{
+    groundPressure = getGroundPressure(pressureReference, referencePressure, fieldElevation);
+}
+
+function getModelProfile()
+{
+    return {groundPressure: groundPressure, levels: weatherStack};
+}
+
+function getModelSettings()
+{
+    return {solarStrength: solarStrength, calculationResolution: calculationResolution};
+}
 
-function MeteoData(altitude, temperature, wind, humidity)
+function MeteoData(altitude, temperature, windDir, windSpeed, humidity)
 {
     this.alt = altitude;
     this.temp = temperature;
-    this.wind = wind;
+    this.windDir = windDir; // [deg] where the wind comes from
+    this.windSpeed = windSpeed; // [m/s]
     this.humidity = humidity;
-    this.dewPoint = getDewPoint(temperature, getRelativeHumidity(humidity, altitude, getPressureAtAltitude(groundPressure, altitude, temperature), temperature));
+    var pressure = getPressureAtAltitude(groundPressure, altitude, temperature);
+    this.dewPoint = getDewPoint(temperature, getRelativeHumidity(humidity, altitude, pressure, temperature), pressure);
 }
 
 function AutoMeteoData(altitude)
 {
     this.alt = altitude;
     this.temp = getTemperatureAt(altitude);
-    this.wind = getWindAt(altitude);
+    var wind = getWindVectorAt(altitude);
+    this.windDir = wind.dir;
+    this.windSpeed = wind.speed;
     this.humidity = getAbsoluteHumidityAt(altitude);
     this.dewPoint = getDewPointAt(altitude);
 }
 
 function getDataAt(altitude, fieldName)
 {
-    var below, above;
-    for (var i = 0; i < weatherStack.length; ++i)
-    {
-        var curr = weatherStack[i];
-
-        if (curr.alt === altitude)
-        {
-            return curr[fieldName];
-        }
-        else if (curr.alt < altitude)
-        {
-            below = curr;
-        }
-        else if (curr.alt > altitude)
-        {
-            above = curr;
-            break;
-        }
-    }
-
-    return below[fieldName] + ((altitude - below.alt) / (above.alt - below.alt)) * (above[fieldName] - below[fieldName]);
+    return getProfileDataAt(getModelProfile(), altitude, fieldName);
 }
 
 function setDataAt(altitude, fieldName, value)
@@ -217,7 +594,27 @@ function setDataAt(altitude, fieldName, value)
 
     var newField = new AutoMeteoData(altitude);
     newField[fieldName] = value;
-    weatherStack.splice(below, 0, newField);
+    weatherStack.splice(below + 1, 0, newField);
+}
+
+function getEditedStack()
+{
+    // While the day cycle runs, the shown stack is derived from the morning sounding, so that one is edited
+    return diurnalBaseStack !== null ? diurnalBaseStack : weatherStack;
+}
+
+function editWeatherStack(edit)
+{
+    // Runs edit() with weatherStack set to the edited stack
+    var shownStack = weatherStack;
+    weatherStack = getEditedStack();
+    edit();
+
+    if (weatherStack !== shownStack)
+    {
+        weatherStack = shownStack;
+        updateDiurnalCycle();
+    }
 }
 
 function setTemperatureAt(altitude, temperature)
@@ -230,14 +627,30 @@ function getTemperatureAt(altitude)
     return getDataAt(altitude, 'temp');
 }
 
-function setWindAt(altitude, wind)
+function getWindVectorAt(altitude)
+{
+    return getProfileWindAt(getModelProfile(), altitude);
+}
+
+function setWindAt(altitude, windDir, windSpeed)
 {
-    return setDataAt(altitude, 'wind', wind);
+    setDataAt(altitude, 'windDir', windDir);
+    setDataAt(altitude, 'windSpeed', windSpeed);
 }
 
 function getWindAt(altitude)
 {
-    return getDataAt(altitude, 'wind');
+    // Component along the cross-section, positive towards the right side
+    return getProfileCrossWindAt(getModelProfile(), altitude, sectionAzimuth);
+}
+
+function getWindShearAt(altitude)
+{
+    // Magnitude of the vector wind difference per height over one calculation step [1/s]
+    var low = getWindVectorAt(altitude);
+    var high = getWindVectorAt(altitude + calculationResolution);
+    var east = high.east - low.east, north = high.north - low.north;
+    return Math.sqrt(east * east + north * north) / calculationResolution;
 }
 
 function setAbsoluteHumidityAt(altitude, ah)
@@ -252,75 +665,244 @@ function getAbsoluteHumidityAt(altitude)
 
 function getDewPointAt(altitude)
 {
-    // TODO this is a very very rough estimation for dew point calculation. This should be done with a more precise
-    // TODO calculation, taking LCL, CCL, LFC into account
+    return getProfileDewPointAt(getModelProfile(), altitude);
+}
+
+function getEnvironmentPressureAt(altitude)
+{
+    return getProfilePressureAt(getModelProfile(), altitude);
+}
+
+function getHumidityValueAt(altitude)
+{
+    // Humidity at altitude in the representation selected by humidityMode
     var temperature = getTemperatureAt(altitude);
-    return getDewPoint(temperature, getRelativeHumidity(getAbsoluteHumidityAt(altitude), altitude, getPressureAtAltitude(groundPressure, altitude, temperature), temperature));
+
+    switch (humidityMode)
+    {
+        case 'absolute':
+            return getAbsoluteHumidityAt(altitude);
+        case 'spread':
+            return Math.max(temperature - getDewPointAt(altitude), 0.0);
+        default:
+            return 100.0 * getRelativeHumidity(getAbsoluteHumidityAt(altitude), altitude, getEnvironmentPressureAt(altitude), temperature);
+    }
 }
 
-function getThermalData()
+function getThermalData(strengthFactor, startAltitude)
 {
-    // This is where we should calculate with dry and humid adiabat, mixing ratio, etc
-    // So long that is not done, do a guesstimate with airmass impulse
+    // Parcel method on the weatherStack, see computeThermalData()
+    return computeThermalData(getModelProfile(), getModelSettings(), strengthFactor, startAltitude);
+}
+
+function getCloudType(thermalData, top)
+{
+    return classifyCloud(getModelProfile(), thermalData, top);
+}
+
+// =====================================================================================================================
+// =====================================================================================================================
+// Drawing functions
+
+function softRedraw()
+{
+    if (redrawTimer != null) clearTimeout(redrawTimer);
+    redrawTimer = setTimeout(redrawCanvas, redrawTimeout);
+}
+
+function getThermalField(thermalData)
+{
+    // Thermals across the landscape: seeded positions, strengths and ages. A single thermal is the mature one of the
+    // profile in the middle; cloud streets are regularly spaced by the depth of the boundary layer.
 
-    var data = {thermalTop: calculationsMaxHeight, cloudBase: calculationsMaxHeight, strength: []};
+    var key = JSON.stringify([getModelProfile(), getModelSettings(), terrain, thermalSeed, thermalCount, showCloudStreets,
+        getLandscapeWidth(), getYOfAltitude(0) - getYOfAltitude(1)]);
+    if (thermalFieldCache.key === key) return thermalFieldCache.thermals;
 
-    var impulse = (solarStrength * 1.2 - 0.1) * thermalInitialImpulse;
-    var prev = {alt: 0.0, temp: getTemperatureAt(0.0), relHumi: getRelativeHumidity(defaultGroundAbsoluteHumidity, 0.0, groundPressure, getTemperatureAt(0.0))};
+    var random = createRandom(thermalSeed);
+    var left = altimeterWidth + thermalInitialWidth;
+    var right = getLandscapeWidth() - altimeterWidth - thermalInitialWidth;
+    var thermals = [];
+    var i;
 
-    for (altitude = calculationResolution; altitude < calculationsMaxHeight; altitude += calculationResolution)
+    if (thermalCount <= 1)
+    {
+        thermals.push({x: getBestThermalX(left, right), strength: 1.0, age: 0.5, key: thermalSeed});
+    }
+    else if (showCloudStreets)
     {
-        var temp = getTemperatureAt(altitude);
-        var curr = {alt: altitude, temp: temp, relHumi: getRelativeHumidity(defaultGroundAbsoluteHumidity, altitude, getPressureAtAltitude(groundPressure, altitude, temp), temp)};
-        var gradient = (curr.temp - prev.temp) * (calculationResolution / 100.0);
+        var boundaryLayer = Math.min(thermalData.cloudBase, thermalData.thermalTop);
+        var spacing = Math.max(boundaryLayer * thermalStreetSpacing * (getYOfAltitude(0) - getYOfAltitude(1)), 3 * thermalInitialWidth);
+        var count = Math.min(thermalCount, Math.floor((right - left) / spacing) + 1);
+        var start = (left + right) / 2 - (count - 1) * spacing / 2;
 
-        if (curr.relHumi >= 1.0 && data.cloudBase === calculationsMaxHeight)
+        for (i = 0; i < count; ++i)
+        {
+            thermals.push({
+                key: thermalSeed * 100 + i,
+                x: start + i * spacing + (random() - 0.5) * spacing * 0.1,
+                // streets are organised: similar strength, mostly mature
+                strength: 0.9 + random() * 0.2,
+                age: thermalBubbleAge + random() * (thermalDecayAge - thermalBubbleAge)
+            });
+        }
+    }
+    else
+    {
+        for (i = 0; i < thermalCount; ++i)
         {
-            // just reached cloudbase
-            data.cloudBase = prev.alt + ((1.0 - prev.relHumi) / (curr.relHumi - prev.relHumi)) * (curr.alt - prev.alt);
+            thermals.push({
+                key: thermalSeed * 100 + i,
+                x: getRandomThermalX(random, left, right),
+                strength: thermalMinStrength + random() * (thermalMaxStrength - thermalMinStrength),
+                age: random()
+            });
         }
+    }
 
-        var compensationOffset = altitude < data.cloudBase ? 0.0 : (curr.alt - prev.alt) * (condensationCompensation / 100.0);
-        var compensationMulti = gradient < 0.0 ? 1.0 : inversionCompensation;
+    thermals.sort(function(a, b) { return a.x - b.x; });
 
-        impulse += (thermalStagnantGradient - gradient) * thermalImpulseTangentRatio * compensationMulti - compensationOffset;
+    // the surface under each thermal decides how strong it is and where it starts; each thermal has its own key for
+    // the puffs, so the puffs of one do not change when another one is added
+    thermals.forEach(function(e)
+    {
+        var ground = getTerrainAt(e.x / getLandscapeWidth());
+        e.strength *= getThermalHeating(ground.surface);
+        e.startAltitude = Math.floor(ground.elevation / calculationResolution) * calculationResolution;
+        e.data = Math.abs(e.strength - 1.0) < 0.01 && e.startAltitude === 0 ? thermalData : getThermalData(e.strength, e.startAltitude);
+    });
 
-        data.strength.push({altitude: curr.alt, impulse: impulse});
+    thermalFieldCache = {key: key, thermals: thermals};
+    return thermals;
+}
 
-        if (impulse < 0)
+function getTerrainAt(share)
+{
+    // Elevation [m] and surface of the terrain at a share of the landscape width
+    for (var i = 1; i < terrain.length; ++i)
+    {
+        if (terrain[i].x >= share || i === terrain.length - 1)
         {
-            // thermal stopped
-            // TODO interpolate thermalTop altitude
-            data.thermalTop = altitude;
-            break;
+            var below = terrain[i - 1];
+            var ratio = Math.max(0.0, Math.min((share - below.x) / (terrain[i].x - below.x), 1.0));
+            return {elevation: below.elevation + ratio * (terrain[i].elevation - below.elevation), surface: below.surface};
         }
-
-        prev = curr;
     }
+}
 
-    return data;
+function getThermalHeating(surface)
+{
+    // Strength factor of the thermals from a surface, 0 when it does not release any
+    return isSurfaceTriggering(getModelSettings(), surface) ? getSurfaceHeatingFactor(surface) : 0.0;
 }
 
-// =====================================================================================================================
-// =====================================================================================================================
-// Drawing functions
+function getRidge()
+{
+    // The highest point of the terrain is the ridge the wind blows across, positions in m across the section. The
+    // section has a fixed width, so the waves do not depend on the size of the canvas.
+    var width = terrainSectionWidth;
+    var crest = terrain[0];
+    var base = terrain[0].elevation;
 
-function softRedraw()
+    terrain.forEach(function(e)
+    {
+        if (e.elevation > crest.elevation) crest = e;
+        base = Math.min(base, e.elevation);
+    });
+
+    // half width: mean distance from the crest down to half its height, on the sides where the terrain gets there
+    var half = (crest.elevation + base) / 2;
+    var distances = [];
+
+    [-1, 1].forEach(function(direction)
+    {
+        for (var share = crest.x; share >= 0.0 && share <= 1.0; share += direction * 0.005)
+        {
+            if (getTerrainAt(share).elevation > half) continue;
+            distances.push(Math.abs(share - crest.x) * width);
+            return;
+        }
+    });
+
+    var halfWidth = distances.length > 0 ? distances.reduce(function(sum, e) { return sum + e; }, 0.0) / distances.length : width;
+    return {x: crest.x * width, top: crest.elevation, base: base, halfWidth: Math.max(halfWidth, 1.0)};
+}
+
+function getWaveData()
 {
-    if (redrawTimer != null) clearTimeout(redrawTimer);
-    redrawTimer = setTimeout(redrawCanvas, redrawTimeout);
+    return computeWaveData(getModelProfile(), getRidge(), sectionAzimuth);
 }
 
-function drawClouds(thermalData)
+function getTerrainSegments(left, right)
 {
-    var thermalPoints = [];
-    var cloudPoints = [];
+    // The parts of the terrain between left and right [px] with the heating of their surface
+    var width = getLandscapeWidth();
+    var segments = [];
+
+    for (var i = 0; i + 1 < terrain.length; ++i)
+    {
+        var x1 = Math.max(terrain[i].x * width, left);
+        var x2 = Math.min(terrain[i + 1].x * width, right);
+        if (x2 > x1) segments.push({x1: x1, x2: x2, heating: getThermalHeating(terrain[i].surface)});
+    }
+
+    return segments;
+}
+
+function getBestThermalX(left, right)
+{
+    // A single thermal starts from the surface heating best, in the middle when that surface is there
+    var middle = getLandscapeWidth() / 2;
+    var segments = getTerrainSegments(left, right);
+    var best = null;
+
+    segments.forEach(function(e)
+    {
+        var contains = e.x1 <= middle && middle <= e.x2;
+        if (best === null || e.heating > best.heating || (e.heating === best.heating && contains)) best = e;
+    });
+
+    if (best === null) return middle;
+    return best.x1 <= middle && middle <= best.x2 ? middle : (best.x1 + best.x2) / 2;
+}
+
+function getRandomThermalX(random, left, right)
+{
+    // More thermals over the surfaces heating better, none over those not releasing any
+    var segments = getTerrainSegments(left, right);
+    var total = segments.reduce(function(sum, e) { return sum + e.heating * (e.x2 - e.x1); }, 0.0);
+    var pick = random();
+
+    // nothing releases thermals: they are placed anyway and stay on the ground
+    if (total <= 0.0) return left + pick * (right - left);
+
+    pick *= total;
+    for (var i = 0; i < segments.length; ++i)
+    {
+        var weight = segments[i].heating * (segments[i].x2 - segments[i].x1);
+        if (pick < weight) return segments[i].x1 + pick / segments[i].heating;
+        pick -= weight;
+    }
+
+    return right;
+}
 
-    var condensationLevel = {y: getYOfAltitude(Math.min(thermalData.cloudBase, thermalData.thermalTop)), x1: canvas.width() / 2, x2: canvas.width() / 2};
+function getThermalStage(thermal)
+{
+    if (thermal.age < thermalBubbleAge) return 'bubble';
+    if (thermal.age < thermalDecayAge) return 'mature';
+    return 'decaying';
+}
 
-    var prevAlt = {alt: 0, y: 0, x1: canvas.width() / 2 - thermalInitialWidth / 2, x2: canvas.width() / 2 + thermalInitialWidth / 2};
+function getThermalColumn(thermal)
+{
+    // The thermal bent by the wind, from the ground to its top
+    var thermalData = thermal.data;
+    var width = thermalInitialWidth * thermal.strength;
+    var column = [];
+    var prevAlt = {alt: 0, y: 0, x1: thermal.x - width / 2, x2: thermal.x + width / 2};
 
-    for (var altitude = 0; altitude <= maxShownAltitude && altitude <= thermalData.thermalTop; altitude += calculationResolution)
+    for (var altitude = thermal.startAltitude || 0; altitude <= maxShownAltitude && altitude <= thermalData.thermalTop; altitude += calculationResolution)
     {
         var wind = getWindAt(altitude);
         var x1, x2;
@@ -344,16 +926,46 @@ function drawClouds(thermalData)
         data.x1 -= thermalWidth * (expansionMultiplier / 2.0);
         data.x2 += thermalWidth * (expansionMultiplier / 2.0);
 
+        column.push(data);
+        prevAlt = data;
+    }
+
+    return column;
+}
+
+function drawThermal(thermal, column)
+{
+    var thermalData = thermal.data;
+    var stage = getThermalStage(thermal);
+    var thermalPoints = [];
+    var cloudPoints = [];
+    var i;
+
+    // A bubble has not reached its top yet, a decaying thermal has lost the supply from the ground
+    var ground = thermal.startAltitude || 0;
+    var top = thermalData.thermalTop;
+    var bottom = ground;
+    if (stage === 'bubble') top = ground + (thermalData.thermalTop - ground) * thermal.age / thermalBubbleAge;
+    if (stage === 'decaying') bottom = ground + (Math.min(thermalData.cloudBase, thermalData.thermalTop) - ground) * (thermal.age - thermalDecayAge) / (1.0 - thermalDecayAge);
+
+    var condensationLevel = {y: getYOfAltitude(Math.min(thermalData.cloudBase, top)), x1: thermal.x, x2: thermal.x};
+    var prevAlt = column.length > 0 ? column[0] : null;
+
+    for (i = 0; i < column.length; ++i)
+    {
+        var data = column[i];
+        if (data.alt > top) break;
+
         // Just passed condensation level
-        if (thermalData.cloudBase > prevAlt.alt && thermalData.cloudBase < altitude)
+        if (thermalData.cloudBase > prevAlt.alt && thermalData.cloudBase < data.alt)
         {
             condensationLevel.x1 = prevAlt.x1 + (data.x1 - prevAlt.x1) * ((thermalData.cloudBase - prevAlt.alt) / calculationResolution);
             condensationLevel.x2 = prevAlt.x2 + (data.x2 - prevAlt.x2) * ((thermalData.cloudBase - prevAlt.alt) / calculationResolution);
         }
 
-        if (altitude < thermalData.cloudBase)
+        if (data.alt < thermalData.cloudBase)
         {
-            thermalPoints.push(data);
+            if (data.alt >= bottom) thermalPoints.push(data);
         }
         else
         {
@@ -363,107 +975,477 @@ function drawClouds(thermalData)
         prevAlt = data;
     }
 
+    if (cloudPoints.length === 0 && thermalPoints.length > 0)
+    {
+        var last = thermalPoints[thermalPoints.length - 1];
+        condensationLevel = {y: last.y, x1: last.x1, x2: last.x2};
+    }
+
+    var fade = stage === 'decaying' ? 1.0 - 0.7 * (thermal.age - thermalDecayAge) / (1.0 - thermalDecayAge) : 1.0;
+
     // Thermal
 
-    context.beginPath();
-    context.moveTo(condensationLevel.x1, condensationLevel.y);
+    if (thermalPoints.length > 0)
+    {
+        context.beginPath();
+        context.moveTo(condensationLevel.x1, condensationLevel.y);
 
-    var i;
-    for (i = thermalPoints.length - 1; i >= 0; --i) context.lineTo(thermalPoints[i].x1, thermalPoints[i].y);
-    for (i = 0; i < thermalPoints.length; ++i) context.lineTo(thermalPoints[i].x2, thermalPoints[i].y);
+        for (i = thermalPoints.length - 1; i >= 0; --i) context.lineTo(thermalPoints[i].x1, thermalPoints[i].y);
+        for (i = 0; i < thermalPoints.length; ++i) context.lineTo(thermalPoints[i].x2, thermalPoints[i].y);
 
-    context.lineTo(condensationLevel.x2, condensationLevel.y);
-    context.closePath();
+        context.lineTo(condensationLevel.x2, condensationLevel.y);
+        context.closePath();
 
-    context.fillStyle = "rgba(255, 127, 39, 0.5)";
-    context.fill();
+        context.fillStyle = "rgba(255, 127, 39, " + (0.5 * fade) + ")";
+        context.fill();
 
-    // Cloud
+        if (stage === 'bubble' && cloudPoints.length === 0)
+        {
+            // the rising bubble head
+            context.beginPath();
+            context.arc((condensationLevel.x1 + condensationLevel.x2) / 2, condensationLevel.y, (condensationLevel.x2 - condensationLevel.x1) * 0.8, 0, 2 * Math.PI, false);
+            context.fill();
+        }
+    }
 
-    context.beginPath();
-    context.moveTo(condensationLevel.x1, condensationLevel.y);
+    thermal.cloudType = getCloudType(thermalData, top);
+    if (thermal.cloudType !== 'none') drawCloud(thermal, cloudPoints, condensationLevel, Math.min(thermalData.thermalTop, top), fade);
+}
 
-    for (i = 0; i < cloudPoints.length; ++i) context.lineTo(cloudPoints[i].x1, cloudPoints[i].y);
-    for (i = cloudPoints.length - 1; i >= 0; --i) context.lineTo(cloudPoints[i].x2, cloudPoints[i].y);
+function getCloudRandom(key, row, slot)
+{
+    // Stable value in [0, 1) for one puff: the same thermal, altitude and position give the same puff on every redraw
+    return createRandom(Math.imul(key, 73856093) ^ Math.imul(row, 19349663) ^ Math.imul(slot, 83492791))();
+}
 
-    context.lineTo(condensationLevel.x2, condensationLevel.y);
-    context.closePath();
+function getCloudPuffs(thermal, cloudPoints, top)
+{
+    // The cloud as overlapping ellipses: wide and flat for humilis, towering for congestus and cumulonimbus,
+    // plus the anvil of the cumulonimbus spreading downwind at the top
+    var thermalData = thermal.data;
+    var type = thermal.cloudType;
+    var puffs = [];
+    var widen = {humilis: 1.9, mediocris: 1.6, congestus: 1.3, cumulonimbus: 1.4}[type];
+    var taper = type === 'congestus' || type === 'cumulonimbus' ? 0.35 : 0.0;
+    var levelHeight = Math.abs(getYOfAltitude(calculationResolution) - getYOfAltitude(0));
+    var cloudBase = thermalData.cloudBase;
+
+    for (var k = 0; k < cloudPoints.length; ++k)
+    {
+        var point = cloudPoints[k];
+        var heightRatio = (point.alt - cloudBase) / Math.max(top - cloudBase, 1);
+        var half = (point.x2 - point.x1) / 2 * widen * (1.0 - taper * heightRatio) * Math.sqrt(Math.max(1.0 - Math.pow(heightRatio, 6), 0.05));
+        var radius = Math.max(Math.min(half * 0.45, cloudPuffMaxRadius), 6);
+        var row = Math.round(point.alt / calculationResolution);
 
-    context.fillStyle = "#fff";
-    context.fill();
+        // rows about a radius apart, always including the top row
+        var stride = Math.max(1, Math.round(radius * 0.7 / levelHeight));
+        if (row % stride !== 0 && k !== cloudPoints.length - 1) continue;
 
-    // Draw puffs
+        var center = (point.x1 + point.x2) / 2;
+        var count = Math.max(1, Math.round(2 * half / radius));
 
-    var radius;
+        for (var slot = 0; slot < count; ++slot)
+        {
+            var x = count === 1 ? center : center - half + radius / 2 + slot * (2 * half - radius) / (count - 1);
+            var r = radius * (0.75 + 0.5 * getCloudRandom(thermal.key, row, slot));
+            x += (getCloudRandom(thermal.key, row, slot + 100) - 0.5) * radius * 0.5;
+            // the upper row gets the bigger cauliflower heads
+            if (k === cloudPoints.length - 1) r *= 1.25;
+            puffs.push({x: x, y: point.y, rx: r, ry: r});
+        }
+    }
 
-    for (i = 0; i < cloudPoints.length; ++i)
+    if (type === 'cumulonimbus')
     {
-        if (condensationLevel.y - cloudPoints[i].y < cloudPuffMaxRadius / 3.0) continue;
+        var anvilAltitude = thermalData.equilibriumLevel !== null ? Math.min(thermalData.equilibriumLevel, top) : top;
+        var anvilY = (getYOfAltitude(anvilAltitude) + getYOfAltitude(top)) / 2;
+        var anvilThickness = Math.max(getYOfAltitude(anvilAltitude) - getYOfAltitude(top), levelHeight * 6);
+        var topPoint = cloudPoints[cloudPoints.length - 1];
+        var anvilCenter = (topPoint.x1 + topPoint.x2) / 2;
+        var downwind = getWindAt(top) >= 0.0 ? 1 : -1;
+        var anvilLength = Math.max((getYOfAltitude(cloudBase) - getYOfAltitude(top)) * 0.8, 80);
+
+        for (var j = -4; j <= 12; ++j)
+        {
+            // longer downwind, thinner towards the edge
+            var distance = j * anvilLength / 12 * (j < 0 ? 0.6 : 1.0);
+            var thickness = anvilThickness * (1.0 - 0.6 * Math.abs(j) / 12);
+            puffs.push({
+                x: anvilCenter + downwind * distance,
+                y: anvilY + (getCloudRandom(thermal.key, 1000, j) - 0.5) * thickness * 0.3,
+                rx: anvilLength / 8,
+                ry: thickness / 2
+            });
+        }
+    }
 
-        radius = Math.random() * cloudPuffMaxRadius;
-        context.beginPath();
-        context.arc(cloudPoints[i].x1, cloudPoints[i].y, radius, 0, 2 * Math.PI, false);
-        context.ellipse(cloudPoints[i].x1, cloudPoints[i].y, radius * 1.3, radius * 0.7, 0, 0, 2 * Math.PI);
-        context.fill();
+    return puffs;
+}
 
-        radius = Math.random() * cloudPuffMaxRadius;
-        context.beginPath();
-        context.arc(cloudPoints[i].x2, cloudPoints[i].y, radius, 0, 2 * Math.PI, false);
-        context.ellipse(cloudPoints[i].x2, cloudPoints[i].y, radius * 1.3, radius * 0.7, 0, 0, 2 * Math.PI);
-        context.fill();
-    }
+function drawCloud(thermal, cloudPoints, condensationLevel, top, fade)
+{
+    if (cloudPoints.length === 0) return;
 
-    // Draw top puffs
+    var type = thermal.cloudType;
+    var puffs = getCloudPuffs(thermal, cloudPoints, top);
+    var baseY = condensationLevel.y;
+    var topY = getYOfAltitude(top);
+    var i;
 
-    if (cloudPoints.length > 0)
+    function tracePuffs(grow, offsetX, offsetY)
     {
-        var cloudTopLeftEdge = cloudPoints[cloudPoints.length - 1].x1;
-        var cloudTopWidth = cloudPoints[cloudPoints.length - 1].x2 - cloudTopLeftEdge;
-        var cloudTopY = getYOfAltitude(thermalData.thermalTop);
-
-        for (var x = 0; x < cloudTopWidth; x += cloudPuffMaxRadius / 2.0)
+        context.beginPath();
+        puffs.forEach(function(e)
         {
-            radius = Math.random() * cloudPuffMaxRadius;
-            context.beginPath();
-            context.arc(cloudTopLeftEdge + x, cloudTopY, radius, 0, 2 * Math.PI, false);
-            context.fill();
-        }
+            context.moveTo(e.x + offsetX + e.rx + grow, e.y + offsetY);
+            context.ellipse(e.x + offsetX, e.y + offsetY, e.rx + grow, e.ry + grow, 0, 0, 2 * Math.PI);
+        });
     }
 
-    // Draw vario
+    context.save();
+    context.globalAlpha = fade;
 
-    if (showVario)
+    if (type === 'cumulonimbus')
     {
-        context.fillStyle = "#fff";
-        context.strokeStyle = "#000";
-        context.font = "bold 26px Arial";
-        var lastPrinted = -varioInterval;
+        // rain shaft below the base
+        var rain = context.createLinearGradient(0, baseY, 0, getYOfAltitude(0));
+        rain.addColorStop(0, "rgba(90, 100, 115, 0.45)");
+        rain.addColorStop(1, "rgba(90, 100, 115, 0.1)");
+        context.fillStyle = rain;
+        context.fillRect(condensationLevel.x1 - 10, baseY, condensationLevel.x2 - condensationLevel.x1 + 20, getYOfAltitude(0) - baseY);
+    }
 
-        for (i = 0; i < thermalData.strength.length; ++i)
-        {
-            var alt = thermalData.strength[i].altitude;
-            if (alt > thermalData.cloudBase) break;
-            if (alt - lastPrinted < varioInterval) continue;
+    // cumulus have a flat base at the condensation level
+    context.beginPath();
+    context.rect(0, 0, getLandscapeWidth(), baseY + 1);
+    context.clip();
 
-            var impulse = thermalData.strength[i].impulse;
+    // outline and the shadowed side, then every puff lit from the upper left
+    tracePuffs(1.5, 0, 0);
+    context.fillStyle = "rgba(70, 85, 105, 0.6)";
+    context.fill();
+    tracePuffs(0, 2, 3);
+    context.fillStyle = "#b9c6d4";
+    context.fill();
 
-            context.fillText(roundToDecim(impulse, 2), canvas.width() / 2, getYOfAltitude(alt));
-            context.strokeText(roundToDecim(impulse, 2), canvas.width() / 2, getYOfAltitude(alt));
-            lastPrinted = alt;
-        }
+    for (i = 0; i < puffs.length; ++i)
+    {
+        var puff = puffs[i];
+        var radius = Math.max(puff.rx, puff.ry);
+        var light = context.createRadialGradient(puff.x - radius * 0.35, puff.y - radius * 0.4, radius * 0.1, puff.x, puff.y, radius * 1.1);
+        light.addColorStop(0, "#fff");
+        light.addColorStop(0.6, "#f3f6f9");
+        light.addColorStop(1, "#d8e0e8");
+        context.fillStyle = light;
+        context.beginPath();
+        context.ellipse(puff.x, puff.y, puff.rx, puff.ry, 0, 0, 2 * Math.PI);
+        context.fill();
     }
 
+    // the base is in the shadow of the cloud above, more so the deeper the cloud
+    tracePuffs(0, 0, 0);
+    context.clip();
+    var darkness = {humilis: 0.15, mediocris: 0.25, congestus: 0.4, cumulonimbus: 0.6}[type];
+    var shade = context.createLinearGradient(0, baseY - Math.min((baseY - topY) * 0.6, 90), 0, baseY);
+    shade.addColorStop(0, "rgba(60, 70, 90, 0)");
+    shade.addColorStop(1, "rgba(60, 70, 90, " + darkness + ")");
+    context.fillStyle = shade;
+    context.fillRect(0, topY - cloudPuffMaxRadius * 3, getLandscapeWidth(), baseY - topY + cloudPuffMaxRadius * 3);
+
+    context.restore();
 }
 
-function synchroTempSliderGauge(event, slider)
+function drawSinkBands(thermals, columns)
 {
-    $('#tempGauge' + $(event.target).data('altitude')).val(slider.value).trigger('change');
-}
+    // Continuity: the air rising in the thermals comes down in between, spread over the gap
+    var boundaryLayer = Math.min(thermals[0].data.cloudBase, thermals[0].data.thermalTop);
+    var labelAltitude = boundaryLayer / 2;
 
-function synchroWindSliderGauge(event, slider)
-{
-    $('#windGauge' + $(event.target).data('altitude')).val(slider.value).trigger('change');
-}
+    context.font = "bold 14px Arial";
+
+    for (var i = 0; i + 1 < thermals.length; ++i)
+    {
+        // the gap between the drifted columns, from the higher of their grounds up to the top of the boundary layer
+        var bottom = Math.max(thermals[i].startAltitude || 0, thermals[i + 1].startAltitude || 0);
+        var left = columns[i].filter(function(e) { return e.alt >= bottom && e.alt <= boundaryLayer; });
+        var right = columns[i + 1].filter(function(e) { return e.alt >= bottom && e.alt <= boundaryLayer; });
+        var levels = Math.min(left.length, right.length);
+        if (levels < 2) continue;
+
+        var middle = Math.max(0, Math.min(Math.round((labelAltitude - bottom) / calculationResolution), levels - 1));
+        var gap = right[middle].x1 - left[middle].x2;
+        if (gap <= 0) continue;
+
+        // only thermals connected to the ground feed the sink
+        var updraft = 0.0;
+        if (getThermalStage(thermals[i]) !== 'decaying') updraft += getClimbRateAt(thermals[i].data, labelAltitude) * (left[middle].x2 - left[middle].x1) / 2;
+        if (getThermalStage(thermals[i + 1]) !== 'decaying') updraft += getClimbRateAt(thermals[i + 1].data, labelAltitude) * (right[middle].x2 - right[middle].x1) / 2;
+        var sink = -updraft / gap;
+
+        context.beginPath();
+        for (var j = 0; j < levels; ++j) context.lineTo(Math.min(left[j].x2, right[j].x1), left[j].y);
+        for (j = levels - 1; j >= 0; --j) context.lineTo(right[j].x1, right[j].y);
+        context.closePath();
+        context.fillStyle = "rgba(0, 60, 160, " + Math.min(0.25, -sink * 0.15) + ")";
+        context.fill();
+
+        if (gap > 70 && sink < -0.05)
+        {
+            context.fillStyle = "#036";
+            context.fillText("↓ " + formatValue('speed', sink), left[middle].x2 + gap / 2 - 30, left[middle].y);
+        }
+    }
+}
+
+function drawTerrain(width, height)
+{
+    // The cross-section of the terrain, every part in the color of its surface, labelled with the temperature the
+    // air above it needs to break away as a thermal
+    var profile = getModelProfile();
+    var settings = getModelSettings();
+
+    context.font = "12px Arial";
+    context.textAlign = 'center';
+
+    for (var i = 0; i + 1 < terrain.length; ++i)
+    {
+        var from = terrain[i];
+        var to = terrain[i + 1];
+        var x1 = from.x * width;
+        var x2 = to.x * width;
+        var colors = surfaceColors[from.surface];
+
+        context.beginPath();
+        context.moveTo(x1, height);
+        context.lineTo(x1, getYOfAltitude(from.elevation));
+        context.lineTo(x2, getYOfAltitude(to.elevation));
+        context.lineTo(x2, height);
+        context.closePath();
+        context.fillStyle = colors.fill;
+        context.fill();
+
+        var label = surfaceTypes[from.surface].name + " " + (isSurfaceTriggering(settings, from.surface)
+            ? formatValue('temperature', getTriggerTemperature(profile, settings, from.surface, (from.elevation + to.elevation) / 2))
+            : "no thermals");
+        if (context.measureText(label).width + 10 > x2 - x1) continue;
+
+        context.fillStyle = colors.text;
+        context.fillText(label, (x1 + x2) / 2, height - grassHeight / 2 + 4);
+    }
+
+    context.textAlign = 'start';
+}
+
+function drawOrographicLift()
+{
+    // The wind blowing across the terrain: climb and sink shading, streamlines, clouds where the lifted air saturates,
+    // the rotor under the first wave crest and the climb and sink on both slopes and in the first wave
+    var profile = getModelProfile();
+    var wave = getWaveData();
+    var ridge = wave.ridge;
+    var width = getLandscapeWidth();
+    var scale = terrainSectionWidth / width; // [m/px] across, the physics is in m and only the drawing in px
+    var downwind = wave.crossWind > 0.0 ? 1 : -1;
+    var groundAt = function(x) { return getTerrainAt(Math.max(0.0, Math.min(x / (width * scale), 1.0))).elevation; };
+    var cell = orographicCellSize;
+    var x, y, altitude, ground;
+
+    context.font = "bold 13px Arial";
+    context.textAlign = 'center';
+    context.fillStyle = "#036";
+    if (wave.reason !== null) context.fillText(waveReasons[wave.reason], width / 2, 20);
+
+    if (!wave.ridgeLift)
+    {
+        context.textAlign = 'start';
+        return;
+    }
+
+    // shading
+    var clouds = [];
+
+    for (x = 0; x < width; x += cell)
+    {
+        var centerX = (x + cell / 2) * scale;
+        ground = groundAt(centerX);
+
+        for (y = 0; y + cell / 2 < getYOfAltitude(ground); y += cell)
+        {
+            altitude = getAltitudeOfY(y + cell / 2);
+
+            // the air here came from lower down by the displacement
+            var displacement = getOrographicDisplacement(wave, centerX, ground, altitude);
+            if (displacement > 0.0 && isSaturatedWhenLifted(profile, altitude - displacement, displacement))
+                clouds.push({x: x + cell / 2, y: y + cell / 2, downstream: (centerX - ridge.x) * downwind});
+
+            var lift = getOrographicLiftAt(profile, wave, groundAt, centerX, altitude);
+            if (Math.abs(lift) < orographicMinLift) continue;
+
+            var alpha = (orographicOpacity * Math.min(Math.abs(lift) / orographicFullLift, 1.0)).toFixed(2);
+            context.fillStyle = lift > 0.0 ? "rgba(255, 120, 0, " + alpha + ")" : "rgba(30, 80, 200, " + alpha + ")";
+            context.fillRect(x, y, cell, cell);
+        }
+    }
+
+    // streamlines, starting level upwind of the ridge
+    context.strokeStyle = "rgba(255, 255, 255, 0.7)";
+    context.lineWidth = 1.5;
+
+    for (altitude = ridge.base + orographicStreamlineSpacing; altitude < maxShownAltitude; altitude += orographicStreamlineSpacing)
+    {
+        context.beginPath();
+        for (x = 0; x <= width; x += 4)
+        {
+            ground = groundAt(x * scale);
+            y = getYOfAltitude(Math.max(altitude + getOrographicDisplacement(wave, x * scale, ground, altitude), ground));
+            if (x === 0) context.moveTo(x, y);
+            else context.lineTo(x, y);
+        }
+        context.stroke();
+    }
+
+    // clouds: a cap cloud over the ridge and lenticulars on the wave crests, gray outline then white
+    ["#b8c2cc", "#f6f8fa"].forEach(function(color, pass)
+    {
+        context.fillStyle = color;
+        clouds.forEach(function(e)
+        {
+            context.beginPath();
+            context.arc(e.x, e.y, cell * (pass === 0 ? 0.85 : 0.7), 0, 2 * Math.PI);
+            context.fill();
+        });
+    });
+
+    var cloudTops = {}; // by wave crest, -1 for the cap cloud
+    clouds.forEach(function(e)
+    {
+        var crest = wave.waves && e.downstream > wave.wavelength / 2 ? Math.round(e.downstream / wave.wavelength - 0.75) : -1;
+        if (!(crest in cloudTops) || e.y < cloudTops[crest].y) cloudTops[crest] = e;
+    });
+
+    context.fillStyle = "#036";
+    for (var crest in cloudTops) context.fillText(crest < 0 ? "Cap cloud" : "Lenticular", cloudTops[crest].x, cloudTops[crest].y - cell);
+
+    // rotor from the ground up to about the ridge top under the first crest
+    if (wave.waves && wave.amplitude >= rotorMinAmplitude)
+    {
+        var rotorX = ridge.x + downwind * 0.75 * wave.wavelength;
+        var bottomY = getYOfAltitude(groundAt(rotorX));
+        var topY = Math.min(getYOfAltitude(ridge.top), bottomY - 20);
+
+        context.strokeStyle = "#a00";
+        context.lineWidth = 2;
+        context.setLineDash([6, 4]);
+        context.beginPath();
+        context.ellipse(rotorX / scale, (topY + bottomY) / 2, wave.wavelength / 8 / scale, (bottomY - topY) / 2, 0, 0, 2 * Math.PI);
+        context.stroke();
+        context.setLineDash([]);
+
+        context.fillStyle = "#a00";
+        context.fillText("Rotor", rotorX / scale, (topY + bottomY) / 2 + 5);
+    }
+
+    // climb and sink halfway up the slopes and where the first wave rises the most
+    var height = ridge.top - ridge.base;
+    var points = [
+        {name: "Ridge lift", x: ridge.x - downwind * ridge.halfWidth, height: height / 2},
+        {name: "Lee sink", x: ridge.x + downwind * ridge.halfWidth, height: height / 2}
+    ];
+    if (wave.waves) points.push({name: "Wave lift", x: ridge.x + downwind * wave.wavelength / 2, altitude: wave.stableTop});
+
+    context.fillStyle = "#036";
+    points.forEach(function(e)
+    {
+        // a dot where the value is taken, the label above it and above the ridge top so the slope does not hide it
+        var at = e.altitude !== undefined ? e.altitude : groundAt(e.x) + e.height;
+        var labelX = Math.max(altimeterWidth + 70, Math.min(e.x / scale, width - altimeterWidth - 70));
+        var labelY = Math.min(getYOfAltitude(at), getYOfAltitude(ridge.top)) - 12;
+
+        context.beginPath();
+        context.arc(e.x / scale, getYOfAltitude(at), 3, 0, 2 * Math.PI);
+        context.fill();
+        context.fillText(e.name + " " + formatValue('speed', getOrographicLiftAt(profile, wave, groundAt, e.x, at), true), labelX, labelY);
+    });
+
+    context.textAlign = 'start';
+}
+
+function drawClouds(thermalData)
+{
+    var thermals = getThermalField(thermalData);
+    var columns = thermals.map(getThermalColumn);
+    var i;
+
+    if (thermals.length > 1) drawSinkBands(thermals, columns);
+
+    for (i = 0; i < thermals.length; ++i) drawThermal(thermals[i], columns[i]);
+
+    // The glider and the vario numbers use the mature thermal nearest to the middle, one from a surface that
+    // releases thermals if there is any
+    var main = 0;
+    for (i = 0; i < thermals.length; ++i)
+    {
+        var distance = Math.abs(thermals[i].x - getLandscapeWidth() / 2);
+        var live = thermals[i].strength > 0.0;
+        var mainLive = thermals[main].strength > 0.0;
+        var mature = getThermalStage(thermals[i]) === 'mature';
+        var mainMature = getThermalStage(thermals[main]) === 'mature';
+        if (live !== mainLive)
+        {
+            if (live) main = i;
+        }
+        else if ((mature && !mainMature) || (mature === mainMature && distance < Math.abs(thermals[main].x - getLandscapeWidth() / 2))) main = i;
+    }
+
+    // Draw vario
+
+    if (showVario)
+    {
+        var mainColumn = columns[main];
+        var mainData = thermals[main].data;
+
+        context.fillStyle = "#fff";
+        context.strokeStyle = "#000";
+        context.font = "bold 26px Arial";
+        var lastPrinted = -varioInterval;
+
+        for (i = 0; i < mainData.strength.length && i < mainColumn.length; ++i)
+        {
+            var alt = mainData.strength[i].altitude;
+            if (alt > mainData.cloudBase) break;
+            if (alt - lastPrinted < varioInterval) continue;
+
+            var climbText = formatValue('speed', mainData.strength[i].climbRate);
+            var textX = (mainColumn[i].x1 + mainColumn[i].x2) / 2;
+
+            context.fillText(climbText, textX, getYOfAltitude(alt));
+            context.strokeText(climbText, textX, getYOfAltitude(alt));
+            lastPrinted = alt;
+        }
+    }
+
+    // the glider circles in the column drifted by the wind
+    thermals[main].column = columns[main];
+    return thermals[main];
+}
+
+function getGaugeQuantity(fieldName)
+{
+    if (fieldName === 'temp') return 'temperature';
+    if (fieldName === 'windSpeed') return 'speed';
+    return null;
+}
+
+function synchroTempSliderGauge(event, slider)
+{
+    $('#tempGauge' + $(event.target).data('altitude')).val(slider.value).trigger('change');
+}
+
+function synchroWindSliderGauge(event, slider)
+{
+    $('#windGauge' + $(event.target).data('altitude')).val(slider.value).trigger('change');
+}
 
 
 function synchroHumiSliderGauge(event, slider)
@@ -473,8 +1455,8 @@ function synchroHumiSliderGauge(event, slider)
 
 function reCreateGauges()
 {
-    var newWeatherStack = [];
-
+    // The gauges show the weatherStack at the altimeter lines, the levels in between stay. Editing a gauge without a
+    // level inserts one, see setDataAt().
     var leftGaugeHolder = $('#leftGaugeHolder');
     var rightGaugeHolder = $('#rightGaugeHolder');
     leftGaugeHolder.find('.gaugeBox').remove();
@@ -486,33 +1468,33 @@ function reCreateGauges()
     {
         altitude = Math.round(i * altimeterResolution);
 
-        var temperature = roundToDecim(getTemperatureAt(altitude), 2);
-        var wind = roundToDecim(getWindAt(altitude), 2);
-        var humidity = roundToDecim(getAbsoluteHumidityAt(altitude), 2);
-
         leftGaugeHolder.append(''
             + '<div class="gaugeBox temperatureGaugeBox" id="tempGaugeBox' + altitude + '">'
-            + '<input type="number" class="gauge temperatureGauge sliderGauge" id="tempGauge' + altitude + '" value="' + temperature + '">&#176;C'
+            + '<input type="number" class="gauge temperatureGauge sliderGauge" id="tempGauge' + altitude + '">'
+            + '<span class="unitLabel" data-quantity="temperature">' + getUnit('temperature').label.trim() + '</span>'
             + '<div class="slider" id="tempSlider' + altitude + '"></div>'
             + '</div>'
         );
 
         leftGaugeHolder.append(''
             + '<div class="gaugeBox windGaugeBox" id="windGaugeBox' + altitude + '">'
-            + '<input type="number" class="gauge windGauge sliderGauge" id="windGauge' + altitude + '" value="' + wind + '">m/s'
+            + '<input type="number" class="gauge windGauge sliderGauge" id="windGauge' + altitude + '" min="0">'
+            + '<span class="unitLabel" data-quantity="speed">' + getUnit('speed').label.trim() + '</span>'
+            + '<input type="number" class="gauge windDirGauge sliderGauge" id="windDirGauge' + altitude + '" min="-10" max="370" step="10">&#176;'
             + '<div class="slider" id="windSlider' + altitude + '"></div>'
             + '</div>'
         );
 
         rightGaugeHolder.append(''
             + '<div class="gaugeBox humiGaugeBox" id="humiGaugeBox' + altitude + '">'
-            + '<input type="number" class="gauge humiGauge sliderGauge" id="humiGauge' + altitude + '" value="' + humidity + '">g/m<sup>3</sup>'
+            + '<input type="number" class="gauge humiGauge sliderGauge" id="humiGauge' + altitude + '">g/m<sup>3</sup>'
             + '<div class="slider" id="humiSlider' + altitude + '"></div>'
             + '</div>'
         );
 
         var tempGauge = $('#tempGauge' + altitude);
         var windGauge = $('#windGauge' + altitude);
+        var windDirGauge = $('#windDirGauge' + altitude);
         var humiGauge = $('#humiGauge' + altitude);
         var windSlider = $('#windSlider' + altitude);
         var tempSlider = $('#tempSlider' + altitude);
@@ -520,45 +1502,49 @@ function reCreateGauges()
 
         tempGauge.data('altitude', altitude);
         windGauge.data('altitude', altitude);
+        windDirGauge.data('altitude', altitude);
         humiGauge.data('altitude', altitude);
         windSlider.data('altitude', altitude);
         tempSlider.data('altitude', altitude);
         humiSlider.data('altitude', altitude);
         tempGauge.data('fieldName', 'temp');
-        windGauge.data('fieldName', 'wind');
+        windGauge.data('fieldName', 'windSpeed');
+        windDirGauge.data('fieldName', 'windDir');
         humiGauge.data('fieldName', 'humidity');
-
+        tempGauge.data('slider', tempSlider);
+        windGauge.data('slider', windSlider);
+        humiGauge.data('slider', humiSlider);
+        tempSlider.data('fieldName', 'temp');
+        windSlider.data('fieldName', 'windSpeed');
+        humiSlider.data('fieldName', 'humidity');
+
+        // values and unit dependent ranges are set by updateGauges()
         windSlider.width(parseInt(windGauge.innerWidth(), 10));
         windSlider.slider({
             range: "min",
-            value: wind,
-            min: -windSliderExtreme,
-            max: windSliderExtreme,
-            step: 0.5,
-            slide: synchroWindSliderGauge
+            slide: synchroWindSliderGauge,
+            start: startSliderDrag,
+            stop: stopSliderDrag
         });
 
         tempSlider.width(parseInt(tempGauge.outerWidth(), 10));
         tempSlider.slider({
             range: "min",
-            value: temperature,
-            min: -tempSliderExtreme - (altitude / 500),
-            max: tempSliderExtreme + (altitude / 500),
-            step: 1,
-            slide: synchroTempSliderGauge
+            slide: synchroTempSliderGauge,
+            start: startSliderDrag,
+            stop: stopSliderDrag
         });
 
         humiSlider.width(parseInt(humiGauge.outerWidth(), 10));
         humiSlider.slider({
             range: "min",
-            value: humidity,
             min: 0,
             max: humiSliderExtreme,
             step: 0.01,
-            slide: synchroHumiSliderGauge
+            slide: synchroHumiSliderGauge,
+            start: startSliderDrag,
+            stop: stopSliderDrag
         });
-
-        newWeatherStack.push(new MeteoData(altitude, temperature, wind, humidity));
     }
 
     var gauges = $('.gauge');
@@ -566,7 +1552,23 @@ function reCreateGauges()
     gauges.change(function(evt)
     {
         var target = $(evt.target);
-        setDataAt(target.data('altitude'), target.data('fieldName'), parseFloat(target.val()));
+        var quantity = getGaugeQuantity(target.data('fieldName'));
+        var value = parseFloat(target.val());
+        if (quantity !== null) value = fromDisplayUnit(quantity, value);
+        if (target.data('fieldName') === 'windDir')
+        {
+            value = (value % 360 + 360) % 360;
+            target.val(value);
+        }
+
+        editWeatherStack(function() { setDataAt(target.data('altitude'), target.data('fieldName'), value); });
+
+        if (target.data('altitude') === 0 && target.data('fieldName') === 'humidity')
+        {
+            defaultGroundAbsoluteHumidity = getAbsoluteHumidityAt(0);
+            showGroundHumidity();
+        }
+        recordHistory(getLevelEditLabel(target.data('fieldName'), target.data('altitude')), target.attr('id'));
         softRedraw();
     });
     gauges.mousedown(function()
@@ -578,45 +1580,219 @@ function reCreateGauges()
     gauges.focusout(stopSpinnerRedraw);
     gauges.mouseleave(stopSpinnerRedraw);
 
-    var topmostLevel = newWeatherStack[newWeatherStack.length - 1];
+    var topmostLevel = weatherStack[weatherStack.length - 1];
     if (topmostLevel.alt < calculationsMaxHeight)
     {
-        newWeatherStack.push(new AutoMeteoData(calculationsMaxHeight));
+        weatherStack.push(new AutoMeteoData(calculationsMaxHeight));
+    }
+
+    updateGauges();
+}
+
+function updateGauges()
+{
+    // Shows the current weatherStack on the existing gauges, without resampling the stack
+    $('.gauge').each(function()
+    {
+        var gauge = $(this);
+        var altitude = gauge.data('altitude');
+        var quantity = getGaugeQuantity(gauge.data('fieldName'));
+        var value = getDataAt(altitude, gauge.data('fieldName'));
+        var slider = gauge.data('slider');
+        var step = quantity !== null ? getUnit(quantity).sliderStep : null;
+
+        // the range on whole steps of the display unit, the slider values are min + n * step
+        if (quantity === 'temperature')
+        {
+            slider.slider('option', {
+                min: parseFloat((Math.ceil(toDisplayUnit(quantity, -tempSliderExtreme - (altitude / 500)) / step) * step).toPrecision(12)),
+                max: parseFloat((Math.floor(toDisplayUnit(quantity, tempSliderExtreme + (altitude / 500)) / step) * step).toPrecision(12)),
+                step: step
+            });
+        }
+        else if (quantity === 'speed')
+        {
+            slider.slider('option', {
+                min: 0,
+                max: parseFloat((Math.floor(toDisplayUnit(quantity, windSliderMax) / step) * step).toPrecision(12)),
+                step: step
+            });
+        }
+
+        if (gauge.data('fieldName') === 'windDir') value = getWindVectorAt(altitude).dir;
+        if (gauge.data('fieldName') === 'windSpeed') value = getWindVectorAt(altitude).speed;
+
+        value = roundToDecim(quantity !== null ? toDisplayUnit(quantity, value) : value, 2);
+        gauge.val(value);
+        if (slider) slider.slider('value', value);
+    });
+
+    defaultGroundAbsoluteHumidity = getAbsoluteHumidityAt(0);
+    showGroundHumidity();
+}
+
+function showGroundHumidity()
+{
+    // The model keeps the exact ground humidity, only the field shows it rounded
+    $('#numAbsoluteHumi').val(roundToDecim(defaultGroundAbsoluteHumidity, 2));
+}
+
+function drawWindShear()
+{
+    // Layers where the wind changes strongly with height, sheared thermals lean and break up here
+    var layerBottom = null;
+    var maxShear = 0.0;
+
+    context.font = "bold 13px Arial";
+
+    for (var altitude = 0; altitude <= maxShownAltitude; altitude += calculationResolution)
+    {
+        var shear = altitude < maxShownAltitude ? getWindShearAt(altitude) : 0.0;
+
+        if (shear >= strongWindShear)
+        {
+            if (layerBottom === null) layerBottom = altitude;
+            maxShear = Math.max(maxShear, shear);
+            continue;
+        }
+        if (layerBottom === null) continue;
+
+        // a strong shear layer ends here
+        var topY = getYOfAltitude(altitude);
+        var bottomY = getYOfAltitude(layerBottom);
+        context.fillStyle = "rgba(200, 0, 80, " + Math.min(0.1 + (maxShear - strongWindShear) * 20.0, 0.35) + ")";
+        context.fillRect(altimeterWidth, topY, getLandscapeWidth() - 2 * altimeterWidth, bottomY - topY);
+
+        context.fillStyle = "#804";
+        context.fillText("Shear " + formatValue('speed', maxShear * 1000.0) + "/km", getLandscapeWidth() - altimeterWidth - 150, (topY + bottomY) / 2 + 5);
+
+        layerBottom = null;
+        maxShear = 0.0;
+    }
+}
+
+function drawWindBarb(x, y, windDir, windSpeed)
+{
+    // Meteorological barb: the staff points where the wind comes from, north is up.
+    // Pennant 50kt, long feather 10kt, short feather 5kt.
+    var knots = Math.round(windSpeed * 3.6 / 1.852 / 5) * 5;
+    var angle = windDir * Math.PI / 180.0;
+    var dx = Math.sin(angle), dy = -Math.cos(angle);
+    var px = -dy, py = dx; // clockwise perpendicular, the side of the feathers
+
+    context.beginPath();
+    if (knots < 5)
+    {
+        context.arc(x, y, 5, 0, 2 * Math.PI, false);
+        context.stroke();
+        return;
+    }
+
+    context.moveTo(x, y);
+    context.lineTo(x + dx * windBarbLength, y + dy * windBarbLength);
+
+    var position = windBarbLength;
+    var first = true;
+    for (; knots >= 50; knots -= 50, position -= 7, first = false)
+    {
+        context.moveTo(x + dx * position, y + dy * position);
+        context.lineTo(x + dx * (position - 3.5) + px * 12, y + dy * (position - 3.5) + py * 12);
+        context.lineTo(x + dx * (position - 7), y + dy * (position - 7));
     }
+    for (; knots >= 10; knots -= 10, position -= 5, first = false)
+    {
+        context.moveTo(x + dx * position, y + dy * position);
+        context.lineTo(x + dx * (position + 4) + px * 12, y + dy * (position + 4) + py * 12);
+    }
+    if (knots >= 5)
+    {
+        // a lone short feather is set back from the tip
+        if (first) position -= 5;
+        context.moveTo(x + dx * position, y + dy * position);
+        context.lineTo(x + dx * (position + 2) + px * 6, y + dy * (position + 2) + py * 6);
+    }
+    context.stroke();
+}
+
+function drawWindBarbs()
+{
+    context.strokeStyle = "#000";
+    context.lineWidth = 1.5;
 
-    weatherStack = newWeatherStack;
+    for (var altitude = 0; altitude <= maxShownAltitude; altitude += windBarbInterval)
+    {
+        var wind = getWindVectorAt(altitude);
+        drawWindBarb(altimeterWidth + windBarbLength + 6, getYOfAltitude(altitude), wind.dir, wind.speed);
+    }
 }
 
 function drawDiagram(dataSeries, dataGetter, pixelsPerUnit, zeroX, color)
 {
     if (dataSeries.length < 2) return;
 
+    // the levels of the stack too, so that the kinks of the curve are on them and not up to a resolution step off
+    var altitudes = [];
+    for (var altitude = 0; altitude <= maxShownAltitude; altitude += calculationResolution) altitudes.push(altitude);
+    dataSeries.forEach(function(level)
+    {
+        if (level.alt >= 0 && level.alt <= maxShownAltitude) altitudes.push(level.alt);
+    });
+    altitudes.sort(function(a, b) { return a - b; });
+
     context.strokeStyle = color;
     context.lineWidth = 2;
     context.beginPath();
 
-    for (var altitude = 0; altitude <= maxShownAltitude; altitude += calculationResolution)
+    altitudes.forEach(function(altitude, i)
     {
-        var data = dataGetter(altitude);
-        var pointX = zeroX + pixelsPerUnit * data;
+        var pointX = zeroX + pixelsPerUnit * dataGetter(altitude);
         var pointY = getYOfAltitude(altitude);
 
-        if (altitude === 0) context.moveTo(pointX, pointY);
+        if (i === 0) context.moveTo(pointX, pointY);
         else context.lineTo(pointX, pointY);
-    }
+    });
 
     context.stroke();
 }
 
+function getTempGraphGeometry()
+{
+    return {zeroX: getLandscapeWidth() * 10 / 13, pixelsPerUnit: (getLandscapeWidth() / 4) / /* maxT - minT */ 50};
+}
+
+function drawCurveLevels(geometry)
+{
+    // Grab handles on the levels of the edited stack
+    context.lineWidth = 1;
+    context.strokeStyle = "#000";
+
+    getEditedStack().forEach(function(level)
+    {
+        if (level.alt > maxShownAltitude) return;
+        var y = getYOfAltitude(level.alt);
+
+        [{value: getDewPointAt(level.alt), color: "#00f"}, {value: getTemperatureAt(level.alt), color: "#f00"}].forEach(function(point)
+        {
+            context.fillStyle = point.color;
+            context.beginPath();
+            context.arc(geometry.zeroX + geometry.pixelsPerUnit * point.value, y, 4, 0, 2 * Math.PI);
+            context.fill();
+            context.stroke();
+        });
+    });
+}
+
 function drawDiagrams()
 {
-    var graphZeroX = canvasDOM.width * 10 / 13;
-    const tempGraphPPU = (canvasDOM.width / 4) / /* maxT - minT */ 50;
+    var geometry = getTempGraphGeometry();
+    var graphZeroX = geometry.zeroX;
+    const tempGraphPPU = geometry.pixelsPerUnit;
 
     if (showTempGraph)
     {
         drawDiagram(weatherStack.map(function(e, i, a) { return {alt: e.alt, data: e.dewPt}; }), getDewPointAt, tempGraphPPU, graphZeroX, "#00f");
         drawDiagram(weatherStack.map(function(e, i, a) { return {alt: e.alt, data: e.temp}; }), getTemperatureAt, tempGraphPPU, graphZeroX, "#f00");
+        drawCurveLevels(geometry);
 
         // Scale
 
@@ -624,9 +1800,13 @@ function drawDiagrams()
         context.fillStyle = "#000";
         context.font = "14px Arial";
 
-        for (var temp = -20; temp <= 30; temp += 10)
+        // ticks on round values of the display unit between -20 and 30°C
+        var tempUnit = getUnit('temperature');
+        var firstTick = Math.ceil(toDisplayUnit('temperature', -20) / tempUnit.tickStep) * tempUnit.tickStep;
+
+        for (var tick = firstTick; tick <= toDisplayUnit('temperature', 30); tick += tempUnit.tickStep)
         {
-            var x = graphZeroX + temp * tempGraphPPU;
+            var x = graphZeroX + fromDisplayUnit('temperature', tick) * tempGraphPPU;
             var groundLevelY = getYOfAltitude(0);
 
             context.beginPath();
@@ -634,80 +1814,481 @@ function drawDiagrams()
             context.lineTo(x, groundLevelY - 10);
             context.stroke();
 
-            context.fillText("" + temp + "°C", x + 4, groundLevelY - 4);
+            context.fillText("" + tick + tempUnit.label, x + 4, groundLevelY - 4);
         }
     }
-}
 
-function redrawCanvas()
-{
-    //console.log("=== REDRAW =================================");
-    canvasDOM = canvas.get()[0];
+    if (showHumiGraph)
+    {
+        var humiScale = getHumidityScale();
+        var humiGraphZeroX = getLandscapeWidth() * 2 / 13;
+        var humiGraphPPU = (getLandscapeWidth() / 5) / (humiScale.max - humiScale.min);
 
-    var width = wrapperDiv.width();
-    var height = wrapperDiv.height();
+        drawDiagram(weatherStack, getHumidityValueAt, humiGraphPPU, humiGraphZeroX, "#0a8");
 
-    canvasDOM.width = width;
-    canvasDOM.height = height - 5;
+        // Scale
 
-    context.save();
+        context.strokeStyle = "#000";
+        context.fillStyle = "#000";
+        context.lineWidth = 2;
+        context.font = "14px Arial";
 
-    // debug
-    var text = "" + width + " x " + height;
-    context.fillText(text, 0, -height / 2);
+        var groundY = getYOfAltitude(0);
 
-    displayScale = height / referenceHeight;
+        for (var tick = 0; tick <= 4; ++tick)
+        {
+            var value = humiScale.min + tick * (humiScale.max - humiScale.min) / 4;
+            var tickX = humiGraphZeroX + (value - humiScale.min) * humiGraphPPU;
 
-    // altimeter
+            context.beginPath();
+            context.moveTo(tickX, groundY);
+            context.lineTo(tickX, groundY - 10);
+            context.stroke();
 
-    var measureLineCnt = maxShownAltitude / altimeterResolution;
-    var measureLineDist = (height - grassHeight) / measureLineCnt;
+            context.fillText("" + roundToDecim(value, 1) + humiScale.unit, tickX + 4, groundY - 4);
+        }
 
-    // ===========================================================
-    // ALTITUDE RELATED STUFF
+        context.fillStyle = "#0a8";
+        context.fillText(humiScale.name, humiGraphZeroX, groundY - 22);
+    }
 
-    var i, altitude;
+    if (showPressGraph) drawPressureGraph();
+}
 
-    // temperature coloring
+function drawPressureGraph()
+{
+    const minPressure = 200; // [hPa]
+    const maxPressure = 1100; // [hPa]
 
-    if (showTemperatureColoring)
-    {
-        tempGrad = context.createLinearGradient(0, 0, 0, height - grassHeight);
+    var pressGraphZeroX = getLandscapeWidth() * 5 / 13;
+    var pressGraphPPU = (getLandscapeWidth() / 5) / (maxPressure - minPressure);
 
-        for (i = 0; i <= measureLineCnt; ++i)
-        {
-            altitude = Math.round(i * altimeterResolution);
-            var tempColor = getRgbForTemp(getTemperatureAt(altitude));
-            tempGrad.addColorStop(1 - altitude / maxShownAltitude, 'rgba(' + tempColor.r + ', ' + tempColor.g + ', ' + tempColor.b + ', ' + temperatureColoringOpacity + ')');
-        }
+    drawDiagram(weatherStack, function(altitude) { return getEnvironmentPressureAt(altitude) / 100.0 - minPressure; }, pressGraphPPU, pressGraphZeroX, "#808");
 
-        context.fillStyle = tempGrad;
-        context.fillRect(0, 0, showTemperatureColoringHalf ? width / 2 : width, height);
-    }
+    // Scale
 
-    if (showHumidityColoring)
+    context.strokeStyle = "#000";
+    context.fillStyle = "#000";
+    context.lineWidth = 2;
+    context.font = "14px Arial";
+
+    var groundY = getYOfAltitude(0);
+
+    var unit = getUnit('pressure');
+    var firstTick = Math.ceil(toDisplayUnit('pressure', minPressure + 100) / unit.tickStep) * unit.tickStep;
+
+    for (var tick = firstTick; tick <= toDisplayUnit('pressure', maxPressure); tick += unit.tickStep)
     {
-        humiGrad = context.createLinearGradient(0, 0, 0, height - grassHeight);
+        var tickX = pressGraphZeroX + (fromDisplayUnit('pressure', tick) - minPressure) * pressGraphPPU;
 
-        for (i = 0; i <= measureLineCnt; ++i)
-        {
-            altitude = Math.round(i * altimeterResolution);
-            var color = getRgbForHumi($('#humiGauge' + altitude).val());
-            humiGrad.addColorStop(1 - altitude / maxShownAltitude, 'rgba(' + color.r + ', ' + color.g + ', ' + color.b + ', ' + temperatureColoringOpacity + ')');
-        }
+        context.beginPath();
+        context.moveTo(tickX, groundY);
+        context.lineTo(tickX, groundY - 10);
+        context.stroke();
 
-        context.fillStyle = humiGrad;
-        context.fillRect(showHumidityColoringHalf ? width / 2 : 0, 0, showHumidityColoringHalf ? width / 2 : width, height);
+        context.fillText("" + tick, tickX + 4, groundY - 4);
     }
 
-    // thermals + clouds
+    context.fillStyle = "#808";
+    context.fillText("Pressure [" + unit.label + "]", pressGraphZeroX, groundY - 22);
+}
+
+function getPressureScaleLabel(altitude)
+{
+    var pressure = getEnvironmentPressureAt(altitude);
+
+    if (pressureScale === 'fl')
+    {
+        var flightLevel = Math.round(getPressureAltitude(pressure) / 0.3048 / 100);
+        return "FL" + ("00" + Math.max(flightLevel, 0)).slice(-3);
+    }
+
+    return formatValue('pressure', pressure / 100.0);
+}
+
+function drawColoringLegend(x, y, title, scale, colorGetter, opacity)
+{
+    // Vertical color bar with the value range of a coloring, wettest/warmest on top
+    const legendWidth = 16;
+    const legendHeight = 120;
+
+    var grad = context.createLinearGradient(0, y, 0, y + legendHeight);
+    for (var i = 0; i <= 10; ++i)
+    {
+        var color = colorGetter(scale.max - i * (scale.max - scale.min) / 10);
+        grad.addColorStop(i / 10, 'rgba(' + color.r + ', ' + color.g + ', ' + color.b + ', ' + opacity + ')');
+    }
+
+    context.fillStyle = "rgba(255, 255, 255, 0.7)";
+    context.fillRect(x - 6, y - 22, 140, legendHeight + 30);
+
+    context.fillStyle = grad;
+    context.fillRect(x, y, legendWidth, legendHeight);
+    context.strokeStyle = "#000";
+    context.lineWidth = 1;
+    context.strokeRect(x, y, legendWidth, legendHeight);
+
+    context.fillStyle = "#000";
+    context.font = "12px Arial";
+    context.fillText(title, x, y - 8);
+    context.fillText("" + scale.max + " " + scale.unit, x + legendWidth + 6, y + 10);
+    context.fillText("" + scale.min + " " + scale.unit, x + legendWidth + 6, y + legendHeight);
+}
+
+// =====================================================================================================================
+// =====================================================================================================================
+// Skew-T log-P diagram
+
+function getSkewY(pressure, bottom, plotHeight)
+{
+    return bottom - (Math.log(skewBottomPressure / pressure) / Math.log(skewBottomPressure / skewTopPressure)) * plotHeight;
+}
+
+function getSkewX(temperature, y, left, bottom, plotWidth, plotHeight)
+{
+    var skewedTemp = temperature - skewMinTemp + skewShift * ((bottom - y) / plotHeight);
+    return left + (skewedTemp / (skewMaxTemp - skewMinTemp)) * plotWidth;
+}
+
+function drawSkewDiagram(left, top, width, height, thermalData, indexLayer)
+{
+    // thermalData is null when the lifted parcel must not be shown
+    var plotLeft = left + skewMargin;
+    var plotWidth = width - skewMargin - 10;
+    var plotBottom = top + height - grassHeight;
+    var plotHeight = plotBottom - top - 10;
+
+    if (plotWidth <= 0 || plotHeight <= 0) return;
+
+    function toPoint(temperature, pressure)
+    {
+        var y = getSkewY(pressure, plotBottom, plotHeight);
+        return {x: getSkewX(temperature, y, plotLeft, plotBottom, plotWidth, plotHeight), y: y};
+    }
+
+    function strokeCurve(points)
+    {
+        context.beginPath();
+        for (var i = 0; i < points.length; ++i)
+        {
+            var point = toPoint(points[i].temp, points[i].pressure);
+            if (i === 0) context.moveTo(point.x, point.y);
+            else context.lineTo(point.x, point.y);
+        }
+        context.stroke();
+    }
+
+    var i, temp, pressure, point, curve;
+
+    context.save();
+
+    context.fillStyle = "#fff";
+    context.fillRect(left, top, width, height);
+
+    context.beginPath();
+    context.rect(plotLeft, plotBottom - plotHeight, plotWidth, plotHeight);
+    context.clip();
+
+    // Isobars
+
+    context.strokeStyle = "#999";
+    context.lineWidth = 1;
+
+    for (pressure = 100000; pressure >= skewTopPressure; pressure -= 10000)
+    {
+        var isobarY = getSkewY(pressure, plotBottom, plotHeight);
+        context.beginPath();
+        context.moveTo(plotLeft, isobarY);
+        context.lineTo(plotLeft + plotWidth, isobarY);
+        context.stroke();
+    }
+
+    // Isotherms
+
+    for (temp = -120; temp <= skewMaxTemp; temp += 10)
+    {
+        context.strokeStyle = temp === 0 ? "#00f" : "#999";
+        strokeCurve([{temp: temp, pressure: skewBottomPressure}, {temp: temp, pressure: skewTopPressure}]);
+    }
+
+    // Dry adiabats
+
+    context.strokeStyle = "rgba(200, 120, 0, 0.6)";
+
+    for (var theta = -30; theta <= 170; theta += 10)
+    {
+        curve = [];
+        for (pressure = skewBottomPressure; pressure >= skewTopPressure; pressure -= 1000)
+        {
+            curve.push({temp: (theta + 273.15) * Math.pow(pressure / 100000.0, dryAirGasConstant / dryAirHeatCapacity) - 273.15, pressure: pressure});
+        }
+        strokeCurve(curve);
+    }
+
+    // Saturated adiabats
+
+    context.strokeStyle = "rgba(0, 150, 0, 0.6)";
+    context.setLineDash([6, 3]);
+
+    for (var startTemp = -20; startTemp <= 40; startTemp += 4)
+    {
+        curve = [];
+        temp = startTemp;
+        for (pressure = skewBottomPressure; pressure >= skewTopPressure; pressure -= 500)
+        {
+            curve.push({temp: temp, pressure: pressure});
+            // dT/dp along the saturated adiabat, using the hydrostatic equation
+            temp -= getMoistAdiabaticLapseRate(temp, pressure) * (dryAirGasConstant * (temp + 273.15) / (gravity * pressure)) * 500;
+        }
+        strokeCurve(curve);
+    }
+
+    // Mixing ratio lines
+
+    context.strokeStyle = "rgba(150, 0, 150, 0.6)";
+    context.setLineDash([2, 4]);
+
+    for (i = 0; i < skewMixingRatios.length; ++i)
+    {
+        var mixingRatio = skewMixingRatios[i] / 1000.0;
+        curve = [];
+        for (pressure = skewBottomPressure; pressure >= 60000; pressure -= 5000)
+        {
+            curve.push({temp: getDewPointForVapourPressure(mixingRatio * pressure / (gasConstantRatio + mixingRatio)), pressure: pressure});
+        }
+        strokeCurve(curve);
+    }
+
+    context.setLineDash([]);
+
+    // Layer of the stability index under the mouse
+
+    if (thermalData !== null && indexLayer !== null)
+    {
+        var layerTopY = getSkewY(getEnvironmentPressureAt(indexLayer.top), plotBottom, plotHeight);
+        var layerBottomY = getSkewY(getEnvironmentPressureAt(indexLayer.bottom), plotBottom, plotHeight);
+        if (layerBottomY - layerTopY < 6)
+        {
+            layerTopY -= 3;
+            layerBottomY += 3;
+        }
+        context.fillStyle = indexHighlightColor;
+        context.fillRect(plotLeft, layerTopY, plotWidth, layerBottomY - layerTopY);
+    }
+
+    // CAPE area: between the parcel and the environment from LFC to EL
+
+    if (thermalData !== null && thermalData.lfc !== null)
+    {
+        var equilibriumLevel = thermalData.equilibriumLevel === null ? calculationsMaxHeight : thermalData.equilibriumLevel;
+        var capeLevels = thermalData.parcel.filter(function(e) { return e.altitude >= thermalData.lfc && e.altitude <= equilibriumLevel; });
+
+        if (capeLevels.length > 1)
+        {
+            context.beginPath();
+            for (i = 0; i < capeLevels.length; ++i)
+            {
+                point = toPoint(capeLevels[i].temp, capeLevels[i].pressure);
+                if (i === 0) context.moveTo(point.x, point.y);
+                else context.lineTo(point.x, point.y);
+            }
+            for (i = capeLevels.length - 1; i >= 0; --i)
+            {
+                point = toPoint(capeLevels[i].envTemp, capeLevels[i].pressure);
+                context.lineTo(point.x, point.y);
+            }
+            context.closePath();
+            context.fillStyle = "rgba(255, 80, 0, 0.35)";
+            context.fill();
+        }
+    }
+
+    // Sounding
+
+    var temperatureCurve = [];
+    var dewPointCurve = [];
+
+    for (var altitude = 0; altitude <= calculationsMaxHeight; altitude += calculationResolution)
+    {
+        pressure = getEnvironmentPressureAt(altitude);
+        temperatureCurve.push({temp: getTemperatureAt(altitude), pressure: pressure});
+        dewPointCurve.push({temp: getDewPointAt(altitude), pressure: pressure});
+    }
+
+    context.lineWidth = 3;
+    context.strokeStyle = "#00f";
+    strokeCurve(dewPointCurve);
+    context.strokeStyle = "#f00";
+    strokeCurve(temperatureCurve);
+
+    // Lifted parcel
+
+    context.lineWidth = 2;
+    context.strokeStyle = "#000";
+    context.setLineDash([8, 4]);
+    if (thermalData !== null) strokeCurve(thermalData.parcel.map(function(e) { return {temp: e.temp, pressure: e.pressure}; }));
+    context.setLineDash([]);
+
+    // Parcel levels
+
+    context.font = "14px Arial";
+    context.fillStyle = "#000";
+
+    (thermalData === null ? [] : [
+        {name: "LCL", altitude: thermalData.lcl, labelOffset: -42},
+        {name: "LFC", altitude: thermalData.lfc, labelOffset: 14},
+        {name: "EL", altitude: thermalData.equilibriumLevel, labelOffset: 14}
+    ]).forEach(function(e)
+    {
+        if (e.altitude === null) return;
+
+        pressure = getEnvironmentPressureAt(e.altitude);
+        point = toPoint(getTemperatureAt(e.altitude), pressure);
+        context.beginPath();
+        context.moveTo(point.x - 10, point.y);
+        context.lineTo(point.x + 10, point.y);
+        context.stroke();
+        context.fillText(e.name, point.x + e.labelOffset, point.y + 5);
+    });
+
+    context.restore();
+
+    // Scales
+
+    context.fillStyle = "#000";
+    context.strokeStyle = "#000";
+    context.lineWidth = 1;
+    context.font = "12px Arial";
+
+    context.strokeRect(plotLeft, plotBottom - plotHeight, plotWidth, plotHeight);
+
+    for (pressure = 100000; pressure >= skewTopPressure; pressure -= 10000)
+    {
+        context.fillText("" + roundToDecim(toDisplayUnit('pressure', pressure / 100.0), 2), left + 4, getSkewY(pressure, plotBottom, plotHeight) + 4);
+    }
+    context.fillText(getUnit('pressure').label, left + 4, plotBottom - plotHeight + 12);
+
+    for (temp = skewMinTemp; temp <= skewMaxTemp; temp += 10)
+    {
+        context.fillText("" + Math.round(toDisplayUnit('temperature', temp)) + getUnit('temperature').label, getSkewX(temp, plotBottom, plotLeft, plotBottom, plotWidth, plotHeight) - 12, plotBottom + 16);
+    }
+}
+
+function redrawCanvas()
+{
+    //console.log("=== REDRAW =================================");
+    canvasDOM = canvas.get()[0];
+
+    // the side panels take their room from the canvas
+    $('#indexPanel').toggle(showIndices);
+    $('#xcPanel').toggle(showXcPlanner);
+    $('#historyPanel').toggle(showHistoryList);
+
+    var canvasWidth = wrapperDiv.width();
+    var height = wrapperDiv.height();
+
+    canvasDOM.width = canvasWidth;
+    canvasDOM.height = height - 5;
+
+    // the indices of the edited profile for the panel and the highlighted layer
+    var indices = showIndices ? getStabilityIndices() : null;
+    drawView(canvasWidth, height, indices);
+    if (showIndices) updateIndexPanel(indices);
+    if (showXcPlanner) updateXcPanel();
+
+    for (var altitude = 0; altitude <= maxShownAltitude; altitude += altimeterResolution)
+    {
+        var gaugeY = getYOfAltitude(altitude);
+        $('#tempGaugeBox' + altitude).css('top', '' + (gaugeY + 5) + 'px');
+        $('#windGaugeBox' + altitude).css('top', '' + (gaugeY + 31) + 'px');
+        $('#humiGaugeBox' + altitude).css('top', '' + (gaugeY + 5) + 'px');
+    }
+}
+
+function drawScene(canvasWidth, height, indices)
+{
+    // Everything on the canvas, laid out for the given size [px] into the current context
+    sceneHeight = height;
+
+    if (!showSkewDiagram) landscapeWidth = canvasWidth;
+    else landscapeWidth = showSkewSideBySide ? Math.round(canvasWidth / 2) : 0;
+
+    var width = landscapeWidth;
+
+    context.save();
+
+    context.beginPath();
+    context.rect(0, 0, landscapeWidth, height);
+    context.clip();
+
+    displayScale = height / referenceHeight;
+
+    // altimeter
+
+    var measureLineCnt = maxShownAltitude / altimeterResolution;
+    var measureLineDist = (height - grassHeight) / measureLineCnt;
+
+    // ===========================================================
+    // ALTITUDE RELATED STUFF
+
+    var i, altitude;
+
+    // temperature coloring
+
+    if (showTemperatureColoring)
+    {
+        tempGrad = context.createLinearGradient(0, 0, 0, height - grassHeight);
+
+        for (i = 0; i <= measureLineCnt; ++i)
+        {
+            altitude = Math.round(i * altimeterResolution);
+            var tempColor = getRgbForTemp(getTemperatureAt(altitude));
+            tempGrad.addColorStop(1 - altitude / maxShownAltitude, 'rgba(' + tempColor.r + ', ' + tempColor.g + ', ' + tempColor.b + ', ' + temperatureColoringOpacity + ')');
+        }
+
+        context.fillStyle = tempGrad;
+        context.fillRect(0, 0, showTemperatureColoringHalf ? width / 2 : width, height);
+    }
+
+    if (showHumidityColoring)
+    {
+        var humiScale = getHumidityScale();
+        humiGrad = context.createLinearGradient(0, 0, 0, height - grassHeight);
+
+        for (altitude = 0; altitude <= maxShownAltitude; altitude += calculationResolution)
+        {
+            var color = getRgbForHumi(humiScale.toPercent(getHumidityValueAt(altitude)));
+            humiGrad.addColorStop(1 - altitude / maxShownAltitude, 'rgba(' + color.r + ', ' + color.g + ', ' + color.b + ', ' + humidityColoringOpacity + ')');
+        }
+
+        context.fillStyle = humiGrad;
+        context.fillRect(showHumidityColoringHalf ? width / 2 : 0, 0, showHumidityColoringHalf ? width / 2 : width, height);
+
+        drawColoringLegend(width - altimeterWidth - 150, 40, humiScale.name, humiScale, function(v) { return getRgbForHumi(humiScale.toPercent(v)); }, humidityColoringOpacity);
+    }
+
+    // thermals + clouds
 
     var thermalData = getThermalData();
-    drawClouds(thermalData);
+    var hideResults = isQuizHidingResults();
+    if (showOrographicLift && !hideResults) drawOrographicLift();
+    if (showWindShear) drawWindShear();
+
+    var mainThermal = hideResults ? {data: thermalData, cloudType: 'none'} : drawClouds(thermalData);
+
+    if (showWindBarbs) drawWindBarbs();
+    lastThermalData = mainThermal.data;
+
+    if (showGlider && !hideResults) drawGlider(mainThermal.data, mainThermal.column);
+    if (varioAudio && !isGliderFlying() && !hideResults) drawVarioProbe();
 
     // graphs
 
     drawDiagrams();
+    var indexLayer = getHighlightedIndexLayer(indices);
+    if (indexLayer !== null) drawIndexHighlight(indexLayer);
+    if (quiz !== null) drawQuizMarks(thermalData);
+    if (lesson !== null && lesson.timer === null) drawLessonCallouts(thermalData);
 
     // scale + gauges
 
@@ -739,25 +2320,29 @@ function redrawCanvas()
         context.moveTo(0, y);
         context.lineTo(altimeterWidth, y);
         context.stroke();
-        context.fillText("" + altitude + "m", 3, y + 20);
+        var altitudeLabel = formatValue('altitude', altitude);
+        context.fillText(altitudeLabel, 3, y + 20);
 
         // right gauges
         context.beginPath();
         context.moveTo(width, y);
         context.lineTo(width - altimeterWidth, y);
         context.stroke();
-        context.fillText("" + altitude + "m", width - 53, y + 20);
-
-        var gaugeY = ((maxShownAltitude - altitude) / altimeterResolution) * measureLineDist;
-        $('#tempGaugeBox' + altitude).css('top', '' + (gaugeY + 5) + 'px');
-        $('#windGaugeBox' + altitude).css('top', '' + (gaugeY + 31) + 'px');
-        $('#humiGaugeBox' + altitude).css('top', '' + (gaugeY + 5) + 'px');
+        context.fillText(altitudeLabel, Math.min(width - 53, width - 3 - context.measureText(altitudeLabel).width), y + 20);
 
+        if (pressureScale !== 'none')
+        {
+            var pressureLabel = getPressureScaleLabel(altitude);
+            context.font = "13px Arial";
+            context.fillText(pressureLabel, 3, y + 38);
+            context.fillText(pressureLabel, width - 53, y + 38);
+            context.font = "16px Arial";
+        }
     }
 
     // Cloudbase line
 
-    if (showCloudBase)
+    if (showCloudBase && !hideResults)
     {
         context.strokeStyle = "#600";
         context.font = "22px Arial";
@@ -770,80 +2355,2559 @@ function redrawCanvas()
         context.moveTo(0, y);
         context.lineTo(width, y);
         context.stroke();
-        context.fillText("" + Math.round(thermalData.cloudBase) + "m", 3, y + 22);
+        var cloudBaseLabel = formatValue('altitude', thermalData.cloudBase);
+        if (mainThermal.cloudType !== 'none') cloudBaseLabel += "  " + cloudTypeNames[mainThermal.cloudType];
+        context.fillText(cloudBaseLabel, 3, y + 22);
     }
 
-    // grass
+    // ground
+
+    drawTerrain(width, height);
 
-    context.fillStyle = "#090";
-    context.fillRect(0, height - grassHeight, width, grassHeight);
+    context.restore();
+
+    // Skew-T log-P diagram
+
+    if (showSkewDiagram) drawSkewDiagram(landscapeWidth, 0, canvasWidth - landscapeWidth, height - 5, hideResults ? null : thermalData, indexLayer);
 }
 
 // =====================================================================================================================
 // =====================================================================================================================
-// Main loop
+// Stability indices
 
-$(function()
+function getStabilityIndices()
 {
-    canvas = $('#thermalCanvas');
-    wrapperDiv = canvas;
-    context = canvas.get()[0].getContext("2d");
+    return computeStabilityIndices(getModelProfile(), getModelSettings());
+}
 
-    $(window).resize(softRedraw);
+function getIndexRows()
+{
+    // The rows of the panel: the indices above, the thermal index at its levels, the freezing level and the
+    // convective temperature
+    var rows = indexRows.slice();
 
-    $('#numMaxAltitude').val(maxShownAltitude);
-    $('#numAltitudeResolution').val(altimeterResolution);
-    $('#cbTempColoring').prop('checked', showTemperatureColoring);
-    $('#cbTempColoringHalf').prop('checked', showTemperatureColoringHalf);
-    $('#numTempColoringOpacity').val(temperatureColoringOpacity);
-    $('#cbFullWidthAltLines').prop('checked', showFullWidthLines);
-    $('#cbShowCloudbase').prop('checked', showCloudBase);
-    $('#cbHumiColoring').prop('checked', showHumidityColoring);
-    $('#cbHumiColoringHalf').prop('checked', showHumidityColoringHalf);
-    $('#numHumiColoringOpacity').val(humidityColoringOpacity);
-    $('#numAbsoluteHumi').val(defaultGroundAbsoluteHumidity);
-    $('#numGroundPressure').val(groundPressure);
-    $('#cbThermalVario').prop('checked', showVario);
-    $('#numSolarStrength').val(solarStrength);
-    $('#cbLockSolarTemps').prop('checked', lockSolarToTemps);
-    $('#numVarioResolution').val(varioInterval);
-    $('#cbTempGraph').prop('checked', showTempGraph);
+    thermalIndexLevels.forEach(function(altitude, level)
+    {
+        rows.push({key: 'thermalIndex', level: level, name: "Thermal index " + formatValue('altitude', altitude), unit: "", decimals: 1,
+            title: "The environment minus the warmed surface air brought up along the dry adiabat", meanings: thermalIndexMeanings});
+    });
+    rows.push({key: 'freezingLevel', name: "Freezing level", quantity: 'altitude',
+        title: "Where the air gets colder than 0°C: clouds above it can ice up and glaciate"});
+    rows.push({key: 'convectiveTemperature', name: "Convective temp.", quantity: 'temperature',
+        title: "The surface temperature the thermals need to reach the convective condensation level and form cumulus"});
 
-    $('.guiControl').change(function()
+    return rows;
+}
+
+function getIndexOf(indices, row)
+{
+    return row.key === 'thermalIndex' ? indices.thermalIndex[row.level] : indices[row.key];
+}
+
+function getIndexMeaning(indices, row)
+{
+    // [color, text] of the value of the row
+    var index = getIndexOf(indices, row);
+
+    if (row.key === 'freezingLevel') return index.value === null ? ["#888", "Above the profile"] : ["#48c", "Clouds above ice up"];
+    if (row.key === 'convectiveTemperature')
+    {
+        if (index.value === null) return ["#888", "Too dry for cumulus"];
+        if (indices.surfaceTemperature >= index.value) return ["#2a2", "Reached: cumulus"];
+        var missing = roundToDecim((index.value - indices.surfaceTemperature) * getUnit('temperature').factor, 1);
+        return ["#888", "Needs " + missing + getUnit('temperature').label + " more"];
+    }
+    if (index.value === null) return ["#888", row.key === 'cin' ? "No free convection" : "Level not in the profile"];
+
+    for (var i = 0; i < row.meanings.length; ++i)
     {
-        maxShownAltitude = parseFloat($('#numMaxAltitude').val());
-        altimeterResolution = parseFloat($('#numAltitudeResolution').val());
-        showTemperatureColoring = $('#cbTempColoring').is(':checked');
-        showTemperatureColoringHalf = $('#cbTempColoringHalf').is(':checked');
-        temperatureColoringOpacity = parseFloat($('#numTempColoringOpacity').val());
-        showFullWidthLines = $('#cbFullWidthAltLines').is(':checked');
-        showCloudBase = $('#cbShowCloudbase').is(':checked');
-        showHumidityColoring = $('#cbHumiColoring').is(':checked');
-        showHumidityColoringHalf = $('#cbHumiColoringHalf').is(':checked');
-        humidityColoringOpacity = parseFloat($('#numHumiColoringOpacity').val());
-        defaultGroundAbsoluteHumidity = parseFloat($('#numAbsoluteHumi').val());
-        groundPressure = parseFloat($('#numGroundPressure').val());
-        showVario = $('#cbThermalVario').is(':checked');
-        solarStrength = parseFloat($('#numSolarStrength').val());
-        lockSolarToTemps = $('#cbLockSolarTemps').is(':checked');
-        varioInterval = parseFloat($('#numVarioResolution').val());
-        showTempGraph = $('#cbTempGraph').is(':checked');
+        if (index.value < row.meanings[i][0]) return [row.meanings[i][1], row.meanings[i][2]];
+    }
+}
+
+function createIndexPanel()
+{
+    var body = $('#indexTable tbody');
 
+    getIndexRows().forEach(function(row, i)
+    {
+        body.append($('<tr></tr>').attr('data-index', i)
+            .append($('<td class="indexName"></td>'))
+            .append($('<td class="indexValue"></td>'))
+            .append($('<td class="indexMeaning"><span class="indexSwatch"></span><span class="indexText"></span></td>')));
+    });
+
+    // the layer an index is taken from shows on the canvas while the mouse is over its row
+    body.on('mouseenter', 'tr', function()
+    {
+        highlightedIndex = parseInt($(this).attr('data-index'), 10);
         softRedraw();
     });
+    body.on('mouseleave', 'tr', function()
+    {
+        highlightedIndex = null;
+        softRedraw();
+    });
+}
 
-    // Default weather
+function updateIndexPanel(indices)
+{
+    // The indices of the edited profile, the values hidden while the quiz asks for the results
+    var hidden = isQuizHidingResults();
+    var rows = getIndexRows();
+
+    $('#indexTable tbody tr').each(function(i)
+    {
+        var row = rows[i];
+        var value = getIndexOf(indices, row).value;
+        var meaning = hidden ? ["transparent", ""] : getIndexMeaning(indices, row);
+        var text = value === null ? "-" : row.quantity ? formatValue(row.quantity, value) : value.toFixed(row.decimals) + row.unit;
+
+        $(this).attr('title', row.title);
+        $(this).find('.indexName').text(row.name);
+        $(this).find('.indexValue').text(hidden ? "?" : text);
+        $(this).find('.indexSwatch').css('background', meaning[0]);
+        $(this).find('.indexText').text(meaning[1]);
+    });
+}
 
-    weatherStack.push(new MeteoData(0, defaultGroundTemperature, 0.0, defaultGroundAbsoluteHumidity));
-    weatherStack.push(new MeteoData(9500, defaultGroundTemperature - (9500 / 100.0) * defaultTemperatureGradient, 0.0, 1.0));
-    weatherStack.push(new MeteoData(calculationsMaxHeight, -20.0, 0.0, 0.5));
+function getHighlightedIndexLayer(indices)
+{
+    // {bottom, top, name} of the index under the mouse, null when there is no layer to show
+    if (indices === null || !showIndices || highlightedIndex === null || isQuizHidingResults()) return null;
 
-    $('.altiControl').change(function()
+    var row = getIndexRows()[highlightedIndex];
+    var index = getIndexOf(indices, row);
+    if (index.bottom === null || index.top === null) return null;
+    return {bottom: index.bottom, top: index.top, name: row.name};
+}
+
+function drawIndexHighlight(layer)
+{
+    // The layer across the landscape, a single level as a thin band
+    var topY = getYOfAltitude(layer.top);
+    var bottomY = getYOfAltitude(layer.bottom);
+    if (bottomY - topY < 6)
     {
-        reCreateGauges();
-        softRedraw();
+        topY -= 3;
+        bottomY += 3;
+    }
+
+    context.fillStyle = indexHighlightColor;
+    context.fillRect(0, topY, getLandscapeWidth(), bottomY - topY);
+
+    context.strokeStyle = "#a80";
+    context.lineWidth = 1;
+    context.setLineDash([6, 4]);
+    [topY, bottomY].forEach(function(y)
+    {
+        context.beginPath();
+        context.moveTo(0, y);
+        context.lineTo(getLandscapeWidth(), y);
+        context.stroke();
     });
+    context.setLineDash([]);
+
+    // layers reaching above the shown altitudes are labelled at the top
+    context.font = "bold 14px Arial";
+    context.fillStyle = "#750";
+    context.fillText(layer.name + (topY < 0 ? " ↑" : ""), altimeterWidth + 40, Math.min(Math.max(topY, 0) + 16, getYOfAltitude(0) - 4));
+}
+
+// =====================================================================================================================
+// =====================================================================================================================
+// Sounding import
+
+function showMessageDialog(title, lines)
+{
+    var dialog = $('<div></div>').attr('title', title);
+    var list = $('<ul class="messageList"></ul>');
+
+    dialog.append($('<p></p>').text(lines[0]));
+    for (var i = 1; i < lines.length; ++i) list.append($('<li></li>').text(lines[i]));
+    if (lines.length > 1) dialog.append(list);
+
+    dialog.dialog({
+        modal: true,
+        width: 520,
+        maxHeight: 500,
+        buttons: {OK: function() { $(this).dialog('close'); }},
+        close: function() { $(this).dialog('destroy').remove(); }
+    });
+}
+
+function importSounding(text)
+{
+    var sounding = parseSounding(text);
+
+    var result = buildProfileFromSounding(sounding);
+    if (result.profile === null)
+    {
+        showMessageDialog("Sounding import", result.report.concat(sounding.errors));
+        return;
+    }
+
+    if (result.surface.pressure !== null)
+    {
+        // The sounding brings its own surface pressure, MeteoData computes the dew points with it
+        fieldElevation = Math.round(result.surface.height);
+        pressureReference = 'qfe';
+        referencePressure = roundToDecim(result.surface.pressure / 100.0, 1);
+        updateGroundPressure();
+    }
+
+    pushSettingsToGui();
+    replaceWeatherStack(result.profile.levels.map(function(e) { return new MeteoData(e.alt, e.temp, e.windDir, e.windSpeed, e.humidity); }));
+    recordHistory("Import sounding");
+    softRedraw();
+
+    showMessageDialog("Sounding import", result.report.concat(sounding.errors));
+}
+
+// =====================================================================================================================
+// =====================================================================================================================
+// Scenarios
+
+const scenarioHashKey = 'scenario=';
+
+function pushSettingsToGui()
+{
+    guiSettings.forEach(function(e)
+    {
+        var control = $('#' + e.id);
+        if (control.is(':checkbox')) control.prop('checked', window[e.setting]);
+        else if (!e.quantity) control.val(window[e.setting]);
+    });
+
+    updateUnitControls();
+}
+
+function pullSettingsFromGui()
+{
+    // Controls in display units are read before the unit selections may change. They only overwrite the setting
+    // when edited, so the rounding of the shown value never gets into the setting.
+    var quantityFirst = guiSettings.filter(function(e) { return e.quantity; }).concat(guiSettings.filter(function(e) { return !e.quantity; }));
+
+    quantityFirst.forEach(function(e)
+    {
+        var control = $('#' + e.id);
+        if (e.quantity)
+        {
+            var shown = parseFloat(control.val());
+            if (shown !== getDisplayValue(e.quantity, window[e.setting])) window[e.setting] = fromDisplayUnit(e.quantity, shown);
+        }
+        else if (control.is(':checkbox')) window[e.setting] = control.is(':checked');
+        else if (control.is('select') || control.attr('type') === 'date') window[e.setting] = control.val();
+        else window[e.setting] = parseFloat(control.val());
+    });
+}
+
+function replaceWeatherStack(newStack)
+{
+    weatherStack = newStack;
+    defaultGroundAbsoluteHumidity = newStack[0].humidity;
+    showGroundHumidity();
+
+    reCreateGauges();
+}
+
+function serializeScenario()
+{
+    var settings = {};
+    guiSettings.forEach(function(e) { settings[e.setting] = window[e.setting]; });
+
+    return {
+        format: scenarioFormat,
+        version: scenarioVersion,
+        settings: settings,
+        // while the day cycle runs the morning sounding is saved, it is derived again from the settings on load
+        weatherStack: (diurnalBaseStack || weatherStack).map(function(e) { return {alt: e.alt, temp: e.temp, windDir: e.windDir, windSpeed: e.windSpeed, humidity: e.humidity}; }),
+        terrain: terrain
+    };
+}
+
+function applyScenario(doc, source)
+{
+    // Nothing is changed unless the whole document is valid. The caller records the history step.
+    doc = migrateScenario(doc);
+    var errors = validateScenario(doc);
+    if (errors.length > 0)
+    {
+        showMessageDialog("Scenario not loaded", ["The scenario from " + source + " has errors:"].concat(errors));
+        return false;
+    }
+
+    restoreScenario(doc);
+    return true;
+}
+
+function restoreScenario(doc)
+{
+    // Sets the model and the GUI to a valid scenario document
+    var settings = doc.settings || {};
+    for (var name in settings) window[name] = settings[name];
+    pushSettingsToGui();
+    updateGroundPressure();
+
+    // like the settings, a scenario without terrain keeps the current one
+    if (doc.terrain !== undefined) terrain = doc.terrain;
+
+    diurnalBaseStack = null;
+    replaceWeatherStack(doc.weatherStack.map(function(e) { return new MeteoData(e.alt, e.temp, e.windDir, e.windSpeed, e.humidity); }));
+    updateDiurnalCycle();
+    updateGlider();
+    updateVarioAudio();
+    softRedraw();
+}
+
+function parseScenario(text, source)
+{
+    var doc;
+    try
+    {
+        doc = JSON.parse(text);
+    }
+    catch (e)
+    {
+        showMessageDialog("Scenario not loaded", ["The scenario from " + source + " is not valid JSON:", e.message]);
+        return false;
+    }
+
+    if (!applyScenario(doc, source)) return false;
+    recordHistory("Load " + source);
+    return true;
+}
+
+function encodeScenarioHash(doc)
+{
+    return scenarioHashKey + btoa(unescape(encodeURIComponent(JSON.stringify(doc))));
+}
+
+function loadScenarioFromHash()
+{
+    var hash = window.location.hash.replace(/^#/, '');
+    if (hash.indexOf(scenarioHashKey) !== 0) return false;
+
+    var text;
+    try
+    {
+        text = decodeURIComponent(escape(atob(decodeURIComponent(hash.substr(scenarioHashKey.length)))));
+    }
+    catch (e)
+    {
+        showMessageDialog("Scenario not loaded", ["The link is damaged, it does not contain a scenario"]);
+        return false;
+    }
+
+    return parseScenario(text, "the link");
+}
+
+function downloadBlob(blob, fileName)
+{
+    var link = $('<a></a>').attr({href: URL.createObjectURL(blob), download: fileName}).appendTo('body');
+    link.get()[0].click();
+    URL.revokeObjectURL(link.attr('href'));
+    link.remove();
+}
+
+function downloadScenario()
+{
+    downloadBlob(new Blob([JSON.stringify(serializeScenario(), null, 2)], {type: 'application/json'}), 'thermalmagic-scenario.json');
+}
+
+function showScenarioLink()
+{
+    var hash = encodeScenarioHash(serializeScenario());
+    history.replaceState(null, '', '#' + hash);
+
+    var dialog = $('<div title="Link to this scenario"></div>');
+    var input = $('<input type="text" class="scenarioLink" readonly>').val(window.location.href);
+    dialog.append($('<p></p>').text("Send this link to open the same situation:")).append(input);
+
+    dialog.dialog({
+        modal: true,
+        width: 520,
+        buttons: {OK: function() { $(this).dialog('close'); }},
+        close: function() { $(this).dialog('destroy').remove(); }
+    });
+
+    input.focus().select();
+}
+
+// =====================================================================================================================
+// =====================================================================================================================
+// Terrain
+
+function fillTerrainTable(points)
+{
+    // One row per point: its position and elevation, and the surface up to the next point
+    var body = $('#terrainTable tbody').empty();
+
+    points.forEach(function(point, i)
+    {
+        var last = i === points.length - 1;
+        var row = $('<tr></tr>');
+        var position = $('<input type="number" class="terrainX" min="0" max="100" step="1">').val(roundToDecim(point.x * 100, 1));
+        var elevation = $('<input type="number" class="terrainElevation" min="0" step="10">').val(getDisplayValue('altitude', point.elevation));
+        var surface = $('<select class="terrainSurface"></select>');
+
+        for (var key in surfaceTypes) surface.append($('<option></option>').val(key).text(surfaceTypes[key].name));
+        surface.val(point.surface);
+
+        // the ends stay at the edges of the landscape
+        position.prop('disabled', i === 0 || last);
+
+        row.append($('<td></td>').append(position));
+        row.append($('<td></td>').append(elevation));
+        row.append($('<td></td>').append(last ? null : surface));
+        row.append($('<td></td>').append(i === 0 || last ? null : $('<button type="button" class="terrainRemove">&#215;</button>')));
+        body.append(row);
+    });
+}
+
+function readTerrainTable()
+{
+    var rows = $('#terrainTable tbody tr');
+
+    return rows.map(function(i)
+    {
+        var row = $(this);
+        var surface = row.find('.terrainSurface');
+        return {
+            x: i === 0 ? 0 : i === rows.length - 1 ? 1 : parseFloat(row.find('.terrainX').val()) / 100,
+            elevation: fromDisplayUnit('altitude', parseFloat(row.find('.terrainElevation').val())),
+            surface: surface.length > 0 ? surface.val() : rows.eq(i - 1).find('.terrainSurface').val()
+        };
+    }).get();
+}
+
+function addTerrainPoint()
+{
+    // splits the widest part of the terrain in the middle
+    var points = readTerrainTable();
+    var widest = 0;
+    for (var i = 1; i + 1 < points.length; ++i)
+    {
+        if (points[i + 1].x - points[i].x > points[widest + 1].x - points[widest].x) widest = i;
+    }
+
+    var from = points[widest];
+    var to = points[widest + 1];
+    points.splice(widest + 1, 0, {x: roundToDecim((from.x + to.x) / 2, 3), elevation: Math.round((from.elevation + to.elevation) / 2), surface: from.surface});
+    fillTerrainTable(points);
+}
+
+function showTerrainDialog()
+{
+    fillTerrainTable(terrain);
+
+    $('#terrainDialog').dialog({
+        modal: true,
+        width: 480,
+        buttons: {
+            OK: function()
+            {
+                var points = readTerrainTable();
+                var errors = validateTerrain(points);
+                if (errors.length > 0)
+                {
+                    showMessageDialog("Terrain not changed", ["The terrain has errors:"].concat(errors));
+                    return;
+                }
+
+                terrain = points;
+                recordHistory("Edit terrain");
+                softRedraw();
+                $(this).dialog('close');
+            },
+            Cancel: function() { $(this).dialog('close'); }
+        }
+    });
+}
+
+// =====================================================================================================================
+// =====================================================================================================================
+// Export
+
+function drawSceneInto(targetContext, width, height)
+{
+    // Draws the scene with the same drawing code into another canvas or an SvgContext, then the screen again
+    var screenContext = context;
+    context = targetContext;
+
+    try
+    {
+        // the sky is the CSS background of the canvas on the screen
+        var sky = context.createLinearGradient(0, 0, 0, height);
+        sky.addColorStop(0, exportSkyTopColor);
+        sky.addColorStop(1, exportSkyBottomColor);
+        context.fillStyle = sky;
+        context.fillRect(0, 0, width, height);
+
+        drawView(width, height, showIndices ? getStabilityIndices() : null);
+    }
+    finally
+    {
+        context = screenContext;
+        redrawCanvas();
+    }
+}
+
+function getExportCanvas(width, height, pixelRatio)
+{
+    var exportCanvas = document.createElement('canvas');
+    exportCanvas.width = Math.round(width * pixelRatio);
+    exportCanvas.height = Math.round(height * pixelRatio);
+
+    var exportContext = exportCanvas.getContext('2d');
+    exportContext.scale(pixelRatio, pixelRatio);
+    drawSceneInto(exportContext, width, height);
+
+    return exportCanvas;
+}
+
+function exportPng(width, height, pixelRatio)
+{
+    getExportCanvas(width, height, pixelRatio).toBlob(function(blob) { downloadBlob(blob, 'thermalmagic.png'); }, 'image/png');
+}
+
+function exportSvg(width, height)
+{
+    var svg = new SvgContext(width, height);
+    drawSceneInto(svg, width, height);
+    downloadBlob(new Blob([svg.getSvg()], {type: 'image/svg+xml'}), 'thermalmagic.svg');
+}
+
+function getLegendGradient(min, max, colorGetter)
+{
+    // CSS gradient of a coloring from min on the left to max on the right
+    var stops = [];
+    for (var i = 0; i <= 10; ++i)
+    {
+        var color = colorGetter(min + i * (max - min) / 10);
+        stops.push('rgb(' + color.r + ', ' + color.g + ', ' + color.b + ') ' + (i * 10) + '%');
+    }
+    return 'linear-gradient(to right, ' + stops.join(', ') + ')';
+}
+
+function getHandoutHtml(picture, thermalData)
+{
+    // One printable page: the picture, the computed thermal, the coloring legends and the weatherStack levels
+    function escape(text)
+    {
+        return $('<div></div>').text(text).html();
+    }
+
+    function row(cells, tag)
+    {
+        return '<tr>' + cells.map(function(e) { return '<' + tag + '>' + escape(e) + '</' + tag + '>'; }).join('') + '</tr>';
+    }
+
+    var cloudType = getCloudType(thermalData);
+    var humiScale = getHumidityScale();
+    var levels = weatherStack.slice().reverse();
+
+    var summary = [
+        ["Cloudbase", cloudType === 'none' ? "none, blue thermals" : formatValue('altitude', thermalData.cloudBase)],
+        ["Thermal top", formatValue('altitude', thermalData.thermalTop)],
+        ["Clouds", cloudTypeNames[cloudType]],
+        ["Solar strength", "" + solarStrength],
+        ["Ground pressure (QFE)", formatValue('pressure', groundPressure / 100.0)]
+    ];
+
+    var table = row(["Altitude", "Temperature", "Dew point", "RH", "Abs. humidity", "Wind"], 'th');
+    levels.forEach(function(level)
+    {
+        var relative = getRelativeHumidity(level.humidity, level.alt, getEnvironmentPressureAt(level.alt), level.temp);
+        table += row([
+            formatValue('altitude', level.alt),
+            formatValue('temperature', level.temp),
+            formatValue('temperature', getDewPointAt(level.alt)),
+            Math.round(relative * 100) + " %",
+            roundToDecim(level.humidity, 1) + " g/m³",
+            Math.round(level.windDir) + "° " + formatValue('speed', level.windSpeed)
+        ], 'td');
+    });
+
+    var legends = [
+        {name: "Temperature", min: formatValue('temperature', minTemp), max: formatValue('temperature', maxTemp), gradient: getLegendGradient(minTemp, maxTemp, getRgbForTemp)},
+        {name: humiScale.name, min: humiScale.min + " " + humiScale.unit, max: humiScale.max + " " + humiScale.unit,
+            gradient: getLegendGradient(humiScale.min, humiScale.max, function(v) { return getRgbForHumi(humiScale.toPercent(v)); })}
+    ];
+
+    return '<!DOCTYPE html><html><head><meta charset="UTF-8"><title>ThermalMagic handout</title><style>'
+        + '@page { size: A4 portrait; margin: 12mm; }'
+        + 'body { font-family: Arial, sans-serif; font-size: 12px; margin: 0; }'
+        + 'h1 { font-size: 20px; margin: 0 0 8px 0; }'
+        + 'img { width: 100%; border: 1px solid #888; }'
+        + '.columns { display: flex; gap: 24px; margin: 10px 0; }'
+        + 'table { border-collapse: collapse; }'
+        + 'td, th { border: 1px solid #aaa; padding: 2px 6px; text-align: right; }'
+        + '.summary td:first-child { text-align: left; font-weight: bold; }'
+        + '.legend { margin-bottom: 8px; }'
+        + '.legendBar { width: 220px; height: 12px; border: 1px solid #000; }'
+        + '.legendRange { width: 220px; display: flex; justify-content: space-between; }'
+        + '@media print { .noPrint { display: none; } }'
+        + '</style></head><body onload="window.print()">'
+        + '<button class="noPrint" onclick="window.print()">Print</button>'
+        + '<h1>Thermal briefing</h1>'
+        + '<img src="' + picture + '" alt="Thermal cross-section">'
+        + '<div class="columns"><table class="summary">'
+        + summary.map(function(e) { return row(e, 'td'); }).join('')
+        + '</table><div>'
+        + legends.map(function(e)
+            {
+                return '<div class="legend"><b>' + escape(e.name) + '</b><div class="legendBar" style="background: ' + e.gradient + ';"></div>'
+                    + '<div class="legendRange"><span>' + escape(e.min) + '</span><span>' + escape(e.max) + '</span></div></div>';
+            }).join('')
+        + '</div></div>'
+        + '<table>' + table + '</table>'
+        + '</body></html>';
+}
+
+function showHandout(width, height, pixelRatio)
+{
+    var handout = window.open('', '_blank');
+    if (!handout)
+    {
+        showMessageDialog("Handout", ["The handout opens in a new window, please allow pop-ups for this page"]);
+        return;
+    }
+
+    var picture = getExportCanvas(width, height, pixelRatio).toDataURL('image/png');
+    handout.document.write(getHandoutHtml(picture, getThermalData()));
+    handout.document.close();
+}
+
+function showExportDialog()
+{
+    $('#numExportWidth').val(wrapperDiv.width());
+    $('#numExportHeight').val(wrapperDiv.height());
+
+    function run(exporter)
+    {
+        return function()
+        {
+            var width = Math.round(parseFloat($('#numExportWidth').val()));
+            var height = Math.round(parseFloat($('#numExportHeight').val()));
+            if (!(width >= exportMinSize && width <= exportMaxSize && height >= exportMinSize && height <= exportMaxSize))
+            {
+                showMessageDialog("Export", ["Width and height must be between " + exportMinSize + " and " + exportMaxSize + " pixels"]);
+                return;
+            }
+
+            exporter(width, height, parseFloat($('#selExportScale').val()));
+            $(this).dialog('close');
+        };
+    }
+
+    $('#exportDialog').dialog({
+        modal: true,
+        width: 380,
+        buttons: {PNG: run(exportPng), SVG: run(exportSvg), Handout: run(showHandout), Cancel: function() { $(this).dialog('close'); }}
+    });
+}
+
+// =====================================================================================================================
+// =====================================================================================================================
+// Presets
+
+function registerPreset(preset)
+{
+    // preset: {id, name, description, settings, weatherStack, terrain}, see presets.js
+    weatherPresets.push(preset);
+}
+
+function getPreset(id)
+{
+    return weatherPresets.filter(function(e) { return e.id === id; })[0];
+}
+
+function showInfoBox(title, text)
+{
+    var infoBox = $('#infoBox');
+    infoBox.find('.infoTitle').text(title);
+    infoBox.find('.infoText').text(text);
+    infoBox.show();
+}
+
+function loadPreset(id)
+{
+    var preset = getPreset(id);
+    if (!preset) return;
+
+    var doc = {format: scenarioFormat, version: scenarioVersion, settings: preset.settings || {}, weatherStack: preset.weatherStack, terrain: preset.terrain};
+    if (!applyScenario(doc, "preset " + preset.name)) return;
+
+    recordHistory("Preset " + preset.name);
+    showInfoBox(preset.name, preset.description);
+}
+
+function createPresetPicker()
+{
+    var picker = $('#selPreset');
+
+    weatherPresets.forEach(function(e)
+    {
+        picker.append($('<option></option>').val(e.id).text(e.name));
+    });
+
+    picker.change(function()
+    {
+        if (picker.val() !== '') loadPreset(picker.val());
+        picker.val('');
+    });
+}
+
+// =====================================================================================================================
+// =====================================================================================================================
+// Lessons
+
+function registerLesson(newLesson)
+{
+    // newLesson: {id, name, steps: [{title, narration, settings, weatherStack, callouts}]}, see lessons.js
+    lessons.push(newLesson);
+}
+
+function getLesson(id)
+{
+    return lessons.filter(function(e) { return e.id === id; })[0];
+}
+
+function resolveLessonSteps(steps)
+{
+    // A step only lists what it changes, the settings and the weatherStack of the steps before it carry on
+    var settings = {};
+    var stack = null;
+
+    return steps.map(function(step)
+    {
+        settings = $.extend({}, settings, step.settings);
+        stack = step.weatherStack || stack;
+        return {title: step.title, narration: step.narration, settings: settings, weatherStack: stack, callouts: step.callouts || []};
+    });
+}
+
+function getBlendedLevel(from, to, altitude, ratio)
+{
+    function blend(fieldName)
+    {
+        var value = getProfileDataAt(from, altitude, fieldName);
+        return value + ratio * (getProfileDataAt(to, altitude, fieldName) - value);
+    }
+
+    var low = getProfileWindAt(from, altitude);
+    var high = getProfileWindAt(to, altitude);
+    var wind = interpolateWind({windDir: low.dir, windSpeed: low.speed}, {windDir: high.dir, windSpeed: high.speed}, ratio);
+
+    return new MeteoData(altitude, blend('temp'), wind.dir, wind.speed, blend('humidity'));
+}
+
+function stopLessonAnimation()
+{
+    if (lesson === null || lesson.timer === null) return;
+    clearInterval(lesson.timer);
+    lesson.timer = null;
+}
+
+function showLessonStep(index)
+{
+    if (lesson === null || index < 0 || index >= lesson.steps.length) return;
+
+    // an animation still running is cut short, its step is skipped
+    stopLessonAnimation();
+
+    var step = lesson.steps[index];
+    var source = "lesson " + lesson.lesson.name + ", step " + (index + 1);
+    var doc = {format: scenarioFormat, version: scenarioVersion, settings: step.settings, weatherStack: step.weatherStack};
+    var errors = validateScenario(migrateScenario(doc));
+    if (errors.length > 0)
+    {
+        showMessageDialog("Lesson step not shown", ["The " + source + " has errors:"].concat(errors));
+        return;
+    }
+
+    lesson.index = index;
+    updateLessonBox();
+    stopDay();
+
+    // Settings switch at once, except numbers like the solar strength that change along with the weather
+    var fromSettings = {};
+    for (var name in step.settings)
+    {
+        if (lessonAnimatedSettings.indexOf(name) >= 0 && typeof window[name] === 'number') fromSettings[name] = window[name];
+        else window[name] = step.settings[name];
+    }
+    pushSettingsToGui();
+
+    // Both stacks are sampled at the levels of either, so the curves keep their shape while they move
+    var from = {groundPressure: groundPressure, levels: weatherStack.slice()};
+    var to = {groundPressure: groundPressure, levels: step.weatherStack};
+    var altitudes = from.levels.concat(to.levels).map(function(e) { return e.alt; }).sort(function(a, b) { return a - b; })
+        .filter(function(e, i, all) { return i === 0 || e !== all[i - 1]; });
+    var start = Date.now();
+
+    lesson.timer = setInterval(function()
+    {
+        var time = Math.min((Date.now() - start) / lessonAnimationDuration, 1.0);
+        if (time >= 1.0)
+        {
+            stopLessonAnimation();
+            applyScenario(doc, source);
+            recordHistory("Lesson step " + (index + 1));
+            return;
+        }
+
+        var ratio = time * time * (3.0 - 2.0 * time); // eases in and out
+        for (var name in fromSettings) window[name] = fromSettings[name] + ratio * (step.settings[name] - fromSettings[name]);
+        weatherStack = altitudes.map(function(altitude) { return getBlendedLevel(from, to, altitude, ratio); });
+
+        pushSettingsToGui();
+        updateGauges();
+        softRedraw();
+    }, lessonFrameInterval);
+}
+
+function startLesson(id)
+{
+    var newLesson = getLesson(id);
+    if (!newLesson) return;
+
+    if (quiz !== null) endQuiz();
+    closeLesson();
+    closeComparison();
+    $('#infoBox').hide();
+
+    lesson = {lesson: newLesson, steps: resolveLessonSteps(newLesson.steps), index: 0, timer: null};
+    $('#lessonBox').show();
+    showLessonStep(0);
+}
+
+function closeLesson()
+{
+    // The weather of the last step stays
+    if (lesson === null) return;
+
+    stopLessonAnimation();
+    lesson = null;
+    $('#lessonBox').hide();
+    softRedraw();
+}
+
+function updateLessonBox()
+{
+    var step = lesson.steps[lesson.index];
+    var box = $('#lessonBox');
+
+    box.find('.infoTitle').text(lesson.lesson.name);
+    box.find('.lessonStep').text((lesson.index + 1) + " / " + lesson.steps.length + "  " + step.title);
+    box.find('.infoText').text(step.narration);
+    $('#btnLessonBack').prop('disabled', lesson.index === 0);
+    $('#btnLessonNext').prop('disabled', lesson.index === lesson.steps.length - 1);
+}
+
+function getLessonAltitude(altitude, thermalData)
+{
+    // Callouts give altitudes in m or follow the model: 'cloudBase', 'thermalTop'
+    if (altitude === 'cloudBase') return getCloudType(thermalData) === 'none' ? null : thermalData.cloudBase;
+    if (altitude === 'thermalTop') return thermalData.thermalTop;
+    return altitude;
+}
+
+function drawLessonArrow(fromX, fromY, toX, toY)
+{
+    var angle = Math.atan2(toY - fromY, toX - fromX);
+    var head = 10;
+
+    context.beginPath();
+    context.moveTo(fromX, fromY);
+    context.lineTo(toX, toY);
+    context.moveTo(toX - head * Math.cos(angle - 0.4), toY - head * Math.sin(angle - 0.4));
+    context.lineTo(toX, toY);
+    context.lineTo(toX - head * Math.cos(angle + 0.4), toY - head * Math.sin(angle + 0.4));
+    context.stroke();
+}
+
+function drawLessonCallouts(thermalData)
+{
+    // callout: {text, altitude, x, pointTo: {altitude, x}, band: [bottom, top]}, x as a share of the landscape width
+    var left = altimeterWidth;
+    var right = getLandscapeWidth() - altimeterWidth;
+    var lineHeight = 18;
+
+    context.save();
+    context.font = "bold 14px Arial";
+    context.lineWidth = 2;
+    context.strokeStyle = "#036";
+
+    lesson.steps[lesson.index].callouts.forEach(function(callout)
+    {
+        if (callout.band)
+        {
+            // no band when one of its ends follows a cloudbase the model does not have
+            var bandBottom = getLessonAltitude(callout.band[0], thermalData);
+            var bandTop = getLessonAltitude(callout.band[1], thermalData);
+            if (bandBottom !== null && bandTop !== null)
+            {
+                var bandTopY = getYOfAltitude(bandTop);
+                context.fillStyle = "rgba(255, 210, 0, 0.35)";
+                context.fillRect(left, bandTopY, right - left, getYOfAltitude(bandBottom) - bandTopY);
+            }
+        }
+
+        var altitude = getLessonAltitude(callout.altitude, thermalData);
+        if (!callout.text || altitude === null) return;
+
+        var lines = callout.text.split("\n");
+        var boxWidth = Math.max.apply(null, lines.map(function(e) { return context.measureText(e).width; })) + 12;
+        var boxHeight = lines.length * lineHeight + 8;
+        var x = Math.max(left, Math.min(left + callout.x * (right - left), right - boxWidth));
+        var y = Math.max(0, Math.min(getYOfAltitude(altitude) - boxHeight / 2, sceneHeight - grassHeight - boxHeight));
+
+        if (callout.pointTo)
+        {
+            var pointAltitude = getLessonAltitude(callout.pointTo.altitude, thermalData);
+            if (pointAltitude !== null)
+            {
+                var toX = left + callout.pointTo.x * (right - left);
+                var toY = getYOfAltitude(pointAltitude);
+                drawLessonArrow(toX < x ? x : x + boxWidth, y + boxHeight / 2, toX, toY);
+            }
+        }
+
+        context.fillStyle = "rgba(255, 255, 255, 0.9)";
+        context.fillRect(x, y, boxWidth, boxHeight);
+        context.strokeRect(x, y, boxWidth, boxHeight);
+        context.fillStyle = "#036";
+        lines.forEach(function(e, i) { context.fillText(e, x + 6, y + (i + 1) * lineHeight); });
+    });
+
+    context.restore();
+}
+
+function createLessonPicker()
+{
+    var picker = $('#selLesson');
+
+    lessons.forEach(function(e)
+    {
+        picker.append($('<option></option>').val(e.id).text(e.name));
+    });
+
+    picker.change(function()
+    {
+        if (picker.val() !== '') startLesson(picker.val());
+        picker.val('');
+    });
+}
+
+// =====================================================================================================================
+// =====================================================================================================================
+// Diurnal cycle
+
+function getDayOfYear(dateText)
+{
+    var date = new Date(dateText + 'T12:00:00Z');
+    if (isNaN(date.getTime())) return 172;
+    return Math.round((date - Date.UTC(date.getUTCFullYear(), 0, 1, 12)) / 86400000) + 1;
+}
+
+function getSolarDeclination(dayOfYear)
+{
+    // [rad]
+    return 23.44 * Math.PI / 180.0 * Math.sin(2 * Math.PI * (284 + dayOfYear) / 365);
+}
+
+function getSunElevationSine(hour, dayOfYear)
+{
+    var phi = latitude * Math.PI / 180.0;
+    var declination = getSolarDeclination(dayOfYear);
+    var hourAngle = (hour - 12) * 15 * Math.PI / 180.0;
+    return Math.sin(phi) * Math.sin(declination) + Math.cos(phi) * Math.cos(declination) * Math.cos(hourAngle);
+}
+
+function getSunrise(dayOfYear)
+{
+    // Local solar time of sunrise [h], null in polar night, 0 in polar day
+    var cosHourAngle = -Math.tan(latitude * Math.PI / 180.0) * Math.tan(getSolarDeclination(dayOfYear));
+    if (cosHourAngle > 1) return null;
+    if (cosHourAngle < -1) return 0;
+    return 12 - Math.acos(cosHourAngle) * 180.0 / Math.PI / 15;
+}
+
+function getSurfaceHeating(hour, dayOfYear)
+{
+    // Surface temperature change since sunrise [K]: solar heating against relaxation and radiative cooling
+    var sunrise = getSunrise(dayOfYear);
+    if (sunrise === null || hour <= sunrise) return 0.0;
+
+    var excess = 0.0;
+    var step = diurnalIntegrationStep / 60.0;
+
+    for (var t = sunrise; t < hour; t += step)
+    {
+        var insolation = Math.max(getSunElevationSine(t + step / 2, dayOfYear), 0.0);
+        excess += (diurnalHeatingRate * insolation - diurnalRelaxation * excess - diurnalRadiativeCooling) * Math.min(step, hour - t);
+    }
+
+    return excess;
+}
+
+function buildDiurnalStack(baseStack, surfaceHeating)
+{
+    // Daytime: the heated surface layer is mixed along the dry adiabat until it meets the morning sounding.
+    // Night: the surface cools and a ground inversion forms.
+    var dayStack = weatherStack;
+    weatherStack = baseStack;
+
+    var surfaceTemp = getTemperatureAt(0) + surfaceHeating;
+    var newStack = [];
+    var altitude;
+
+    for (altitude = 0; altitude < calculationsMaxHeight; altitude += calculationResolution)
+    {
+        var baseTemp = getTemperatureAt(altitude);
+        var temp = surfaceHeating >= 0.0
+            ? Math.max(baseTemp, surfaceTemp - dryAdiabaticLapseRate * altitude)
+            : baseTemp + surfaceHeating * Math.exp(-altitude / groundInversionDepth);
+
+        if (Math.abs(temp - baseTemp) < 0.01) break;
+
+        var wind = getWindVectorAt(altitude);
+        newStack.push(new MeteoData(altitude, temp, wind.dir, wind.speed, getAbsoluteHumidityAt(altitude)));
+    }
+
+    for (var i = 0; i < baseStack.length; ++i)
+    {
+        if (baseStack[i].alt >= altitude) newStack.push(baseStack[i]);
+    }
+
+    weatherStack = dayStack;
+    return newStack;
+}
+
+function formatTimeOfDay(hour)
+{
+    var minutes = Math.round(hour * 60);
+    return ("0" + Math.floor(minutes / 60)).slice(-2) + ":" + ("0" + (minutes % 60)).slice(-2);
+}
+
+function updateDiurnalCycle()
+{
+    var dayOfYear = getDayOfYear(simulationDate);
+    var sunElevation = Math.asin(Math.max(Math.min(getSunElevationSine(timeOfDay, dayOfYear), 1), -1)) * 180.0 / Math.PI;
+
+    $('#timeOfDayLabel').text(formatTimeOfDay(timeOfDay) + ", sun " + Math.round(sunElevation) + "°");
+    $('#numSolarStrength').prop('disabled', showDiurnalCycle);
+
+    if (!showDiurnalCycle)
+    {
+        if (diurnalBaseStack !== null)
+        {
+            weatherStack = diurnalBaseStack;
+            diurnalBaseStack = null;
+            updateGauges();
+        }
+        return;
+    }
+
+    if (diurnalBaseStack === null) diurnalBaseStack = weatherStack;
+
+    solarStrength = roundToDecim(Math.max(Math.sin(sunElevation * Math.PI / 180.0), 0.0), 2);
+    $('#numSolarStrength').val(solarStrength);
+
+    weatherStack = lockSolarToTemps ? buildDiurnalStack(diurnalBaseStack, getSurfaceHeating(timeOfDay, dayOfYear)) : diurnalBaseStack;
+    updateGauges();
+}
+
+function stopDay()
+{
+    if (dayTimer !== null) clearInterval(dayTimer);
+    dayTimer = null;
+    $('#btnPlayDay').text("Play");
+}
+
+function playDay()
+{
+    if (dayTimer !== null)
+    {
+        stopDay();
+        return;
+    }
+
+    var timeControl = $('#numTimeOfDay');
+    var endOfDay = parseFloat(timeControl.attr('max'));
+    if (timeOfDay >= endOfDay) timeOfDay = parseFloat(timeControl.attr('min'));
+
+    $('#cbDiurnalCycle').prop('checked', true);
+    $('#btnPlayDay').text("Pause");
+
+    dayTimer = setInterval(function()
+    {
+        timeOfDay = Math.min(timeOfDay + dayTimerStep / 60.0, endOfDay);
+        timeControl.val(timeOfDay).trigger('change');
+        if (timeOfDay >= endOfDay) stopDay();
+    }, dayTimerInterval);
+
+    timeControl.val(timeOfDay).trigger('change');
+}
+
+// =====================================================================================================================
+// =====================================================================================================================
+// Glider
+
+function getPolarPoints()
+{
+    if (gliderPolar === 'custom')
+    {
+        return [[customPolarSpeed1, customPolarSink1], [customPolarSpeed2, customPolarSink2], [customPolarSpeed3, customPolarSink3]];
+    }
+    return (gliderPolars[gliderPolar] || gliderPolars.club).points;
+}
+
+function getPolarCoefficients(points)
+{
+    // Parabola sink = a*v^2 + b*v + c through the 3 polar points, v in [m/s], sink positive downwards [m/s]
+    var v = points.map(function(e) { return e[0] / 3.6; });
+    var w = points.map(function(e) { return e[1]; });
+
+    var a = ((w[2] - w[1]) / (v[2] - v[1]) - (w[1] - w[0]) / (v[1] - v[0])) / (v[2] - v[0]);
+    var b = (w[1] - w[0]) / (v[1] - v[0]) - a * (v[0] + v[1]);
+    var c = w[0] - a * v[0] * v[0] - b * v[0];
+
+    return {a: a, b: b, c: c};
+}
+
+function getGliderPerformance()
+{
+    var polar = getPolarCoefficients(getPolarPoints());
+    if (!(polar.a > 0)) return null; // not a usable polar
+
+    var minSinkSpeed = -polar.b / (2 * polar.a);
+    var minSink = polar.c - polar.b * polar.b / (4 * polar.a);
+    var bank = gliderBankAngle * Math.PI / 180.0;
+
+    return {
+        polar: polar,
+        minSinkSpeed: minSinkSpeed,
+        minSink: minSink,
+        // sink grows with the load factor in the turn
+        circlingSink: minSink / Math.pow(Math.cos(bank), 1.5)
+    };
+}
+
+function launchGlider()
+{
+    glider = {altitude: gliderLaunchAltitude, phase: 0.0, climb: 0.0, status: ""};
+}
+
+function stepGlider()
+{
+    var thermalData = lastThermalData || getThermalData();
+    var performance = getGliderPerformance();
+    var dt = gliderTimeScale * gliderFrameInterval / 1000.0;
+
+    if (glider === null) launchGlider();
+
+    if (performance === null)
+    {
+        glider.climb = 0.0;
+        glider.status = "Invalid polar";
+        redrawCanvas();
+        return;
+    }
+
+    // in the cloud there is no climbing any more, neither above the thermal top
+    var ceiling = Math.min(thermalData.cloudBase, thermalData.thermalTop);
+
+    glider.climb = getClimbRateAt(thermalData, glider.altitude) - performance.circlingSink;
+    glider.phase += dt * performance.minSinkSpeed / 60.0; // full circle in roughly 20-25s
+    // the thermal may start from a hill
+    var ground = thermalData.strength.length > 0 ? thermalData.strength[0].altitude : 0.0;
+    glider.altitude = Math.max(Math.min(glider.altitude + glider.climb * dt, ceiling), ground);
+
+    if (glider.altitude >= ceiling - 1.0)
+    {
+        glider.status = ceiling === thermalData.thermalTop ? "Thermal top" : "Cloudbase";
+    }
+    else if (glider.climb <= 0.0)
+    {
+        glider.status = glider.altitude > ground ? "Sinking: climb < sink" : "Landed";
+    }
+    else
+    {
+        glider.status = "";
+    }
+
+    redrawCanvas();
+}
+
+function updateGlider()
+{
+    if (showGlider && gliderTimer === null)
+    {
+        launchGlider();
+        gliderTimer = setInterval(stepGlider, gliderFrameInterval);
+    }
+    else if (!showGlider && gliderTimer !== null)
+    {
+        clearInterval(gliderTimer);
+        gliderTimer = null;
+        glider = null;
+    }
+
+    $('#btnCustomPolar').prop('disabled', gliderPolar !== 'custom');
+}
+
+function isGliderFlying()
+{
+    return showGlider && glider !== null;
+}
+
+function drawGlider(thermalData, thermalColumn)
+{
+    if (glider === null || thermalColumn.length === 0) return;
+
+    // centre of the drifted thermal column at the glider's altitude
+    var level = thermalColumn[0];
+    for (var i = 0; i < thermalColumn.length && thermalColumn[i].alt <= glider.altitude; ++i) level = thermalColumn[i];
+
+    var radius = Math.max((level.x2 - level.x1) / 2 - 6, 8);
+    var x = (level.x1 + level.x2) / 2 + radius * Math.sin(glider.phase);
+    var y = getYOfAltitude(glider.altitude);
+    var heading = Math.cos(glider.phase) >= 0 ? 1 : -1; // flying right or left on the circle
+    var span = 22 * Math.abs(Math.sin(glider.phase)) + 6; // wings foreshortened when flying across the view
+
+    context.save();
+    context.translate(x, y);
+
+    context.strokeStyle = "#222";
+    context.fillStyle = "#fff";
+    context.lineWidth = 2;
+
+    // wings, banked into the turn
+    context.beginPath();
+    context.ellipse(0, 0, span, 2.5, heading * 0.35, 0, 2 * Math.PI);
+    context.fill();
+    context.stroke();
+
+    // fuselage and fin
+    context.beginPath();
+    context.moveTo(heading * 12, 1);
+    context.lineTo(-heading * 14, 0);
+    context.lineTo(-heading * 16, -7);
+    context.stroke();
+
+    context.restore();
+
+    context.font = "bold 15px Arial";
+    context.fillStyle = glider.climb > 0 ? "#060" : "#900";
+    context.fillText(formatValue('speed', glider.climb, true), x + 26, y - 6);
+    if (glider.status !== "")
+    {
+        context.fillStyle = "#000";
+        context.fillText(glider.status, x + 26, y + 12);
+    }
+}
+
+// =====================================================================================================================
+// =====================================================================================================================
+// Cross-country planner
+
+function getSinkAt(polar, speed)
+{
+    // Sink of the polar [m/s] at the airspeed [m/s]
+    return polar.a * speed * speed + polar.b * speed + polar.c;
+}
+
+function getSpeedToFly(polar, macCready)
+{
+    // Where the tangent from the MacCready setting on the climb axis touches the polar [m/s]
+    return Math.sqrt((polar.c + macCready) / polar.a);
+}
+
+function getCrossCountrySpeed(polar, macCready, climb)
+{
+    // Climbing at the climb rate, gliding the height back down at the speed to fly of the setting [m/s]
+    var speed = getSpeedToFly(polar, macCready);
+    return speed * climb / (climb + getSinkAt(polar, speed));
+}
+
+function getWorkingBandClimb(thermalData, performance)
+{
+    // Climb from the bottom of the working band up to its top or until the thermal gets too weak. The average climb
+    // is the height over the time it takes, so the weak parts count for more.
+    var ground = thermalData.strength.length > 0 ? thermalData.strength[0].altitude : 0.0;
+    var bottom = Math.max(xcBandBottom, ground);
+    var top = Math.min(xcBandTop, thermalData.cloudBase, thermalData.thermalTop);
+    if (top - bottom < xcMinBand) return {bottom: bottom, top: top, climb: null, reason: 'band'};
+
+    var time = 0.0;
+    var reached = bottom;
+    while (reached < top)
+    {
+        var step = Math.min(xcClimbStep, top - reached);
+        var climb = getClimbRateAt(thermalData, reached + step / 2) - performance.circlingSink;
+        if (climb < xcMinClimb) break;
+
+        time += step / climb;
+        reached += step;
+    }
+
+    if (reached - bottom < xcMinBand) return {bottom: bottom, top: reached, climb: null, reason: 'weak'};
+    return {bottom: bottom, top: reached, climb: (reached - bottom) / time, reason: null};
+}
+
+function getCrossCountryPlan(thermalData)
+{
+    // MacCready: climb through the working band at its average climb and glide the height back down at the speed to
+    // fly for that setting. Fields are null when there is no plan, the reason says why.
+    var performance = getGliderPerformance();
+    var plan = {polar: null, bottom: null, top: null, climb: null, speedToFly: null, sink: null, glideRatio: null,
+        glideDistance: null, climbShare: null, speed: null, reason: 'polar'};
+    if (performance === null) return plan;
+
+    var band = getWorkingBandClimb(thermalData, performance);
+    plan.polar = performance.polar;
+    plan.bottom = band.bottom;
+    plan.top = band.top;
+    plan.reason = band.reason;
+    if (band.climb === null) return plan;
+
+    plan.climb = band.climb;
+    plan.speedToFly = getSpeedToFly(plan.polar, plan.climb);
+    plan.sink = getSinkAt(plan.polar, plan.speedToFly);
+    plan.glideRatio = plan.speedToFly / plan.sink;
+    plan.glideDistance = (plan.top - plan.bottom) * plan.glideRatio;
+    plan.climbShare = plan.sink / (plan.climb + plan.sink);
+    plan.speed = getCrossCountrySpeed(plan.polar, plan.climb, plan.climb);
+    return plan;
+}
+
+function updateXcPanel()
+{
+    // The plan of the main thermal, the results hidden while the quiz asks for them
+    var plan = getCrossCountryPlan(lastThermalData || getThermalData());
+    var hidden = isQuizHidingResults();
+    var rows = [];
+
+    if (plan.climb !== null)
+    {
+        rows = [
+            ["Climb band", formatValue('altitude', plan.bottom) + " - " + formatValue('altitude', plan.top),
+                "The part of the working band the glider climbs through"],
+            ["Average climb", formatValue('speed', plan.climb, true), "Band height over the time to climb it, circling sink included"],
+            ["MacCready", formatValue('speed', plan.climb), "Set to the average climb"],
+            ["Speed to fly", formatValue('airspeed', plan.speedToFly * 3.6), "Between the thermals, in still air"],
+            ["Glide ratio", Math.round(plan.glideRatio) + ":1", "At the speed to fly"],
+            ["Inter-thermal glide", formatValue('distance', plan.glideDistance), "How far the band height lasts at the speed to fly"],
+            ["Time climbing", Math.round(plan.climbShare * 100) + "%", "Share of the flight spent circling"],
+            ["XC speed", formatValue('airspeed', plan.speed * 3.6), "Average cross-country speed over climbs and glides"]
+        ];
+    }
+
+    var body = $('#xcTable tbody').empty();
+    rows.forEach(function(row)
+    {
+        body.append($('<tr></tr>').attr('title', row[2])
+            .append($('<td class="xcName"></td>').text(row[0]))
+            .append($('<td class="xcValue"></td>').text(hidden ? "?" : row[1])));
+    });
+    $('#xcMessage').text(plan.reason === null || hidden ? "" : xcReasons[plan.reason]);
+
+    if (hidden) plan.climb = null;
+    drawPolarChart(plan);
+    drawMacCreadyChart(plan);
+}
+
+function beginXcChart(id, xMax, yMin, yMax, xQuantity, yQuantity)
+{
+    // Clears the chart and draws its scales. The chart runs from 0 to xMax across and from yMin to yMax upwards, all
+    // in internal units; getX() and getY() place values on it.
+    var chartDOM = $('#' + id).get()[0];
+    var chart = {
+        context: chartDOM.getContext('2d'),
+        left: xcChartMargin,
+        top: 18,
+        width: chartDOM.width - xcChartMargin - 10,
+        height: chartDOM.height - 18 - 22
+    };
+    chart.getX = function(x) { return chart.left + x / xMax * chart.width; };
+    chart.getY = function(y) { return chart.top + (yMax - y) / (yMax - yMin) * chart.height; };
+
+    var ctx = chart.context;
+    ctx.clearRect(0, 0, chartDOM.width, chartDOM.height);
+    ctx.strokeStyle = "#ccc";
+    ctx.fillStyle = "#000";
+    ctx.lineWidth = 1;
+    ctx.font = "11px Arial";
+
+    // grid lines on round values of the display units
+    var xStep = fromDisplayUnit(xQuantity, getNiceStep(toDisplayUnit(xQuantity, xMax) / 4));
+    var yStep = fromDisplayUnit(yQuantity, getNiceStep(toDisplayUnit(yQuantity, yMax - yMin) / 4));
+    var value;
+
+    ctx.textAlign = 'center';
+    for (value = 0; value <= xMax + 1e-6; value += xStep)
+    {
+        ctx.beginPath();
+        ctx.moveTo(chart.getX(value), chart.top);
+        ctx.lineTo(chart.getX(value), chart.top + chart.height);
+        ctx.stroke();
+        ctx.fillText("" + roundToDecim(toDisplayUnit(xQuantity, value), 1), chart.getX(value), chart.top + chart.height + 12);
+    }
+    ctx.fillText(getUnit(xQuantity).label.trim(), chart.left + chart.width / 2, chart.top + chart.height + 22);
+
+    ctx.textAlign = 'right';
+    for (value = Math.ceil(yMin / yStep) * yStep; value <= yMax + 1e-6; value += yStep)
+    {
+        ctx.beginPath();
+        ctx.moveTo(chart.left, chart.getY(value));
+        ctx.lineTo(chart.left + chart.width, chart.getY(value));
+        ctx.stroke();
+        ctx.fillText("" + roundToDecim(toDisplayUnit(yQuantity, value), 1), chart.left - 4, chart.getY(value) + 4);
+    }
+    ctx.textAlign = 'left';
+    ctx.fillText(getUnit(yQuantity).label.trim(), 2, 10);
+
+    ctx.strokeStyle = "#000";
+    ctx.strokeRect(chart.left, chart.top, chart.width, chart.height);
+
+    return chart;
+}
+
+function drawChartCurve(chart, from, to, getPoint, color, dash)
+{
+    // getPoint(t) gives [x, y] for t from from to to
+    var ctx = chart.context;
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 2;
+    ctx.setLineDash(dash || []);
+    ctx.beginPath();
+    for (var i = 0; i <= 50; ++i)
+    {
+        var point = getPoint(from + i / 50 * (to - from));
+        if (i === 0) ctx.moveTo(chart.getX(point[0]), chart.getY(point[1]));
+        else ctx.lineTo(chart.getX(point[0]), chart.getY(point[1]));
+    }
+    ctx.stroke();
+    ctx.setLineDash([]);
+}
+
+function drawChartPoint(chart, x, y, color, label)
+{
+    // The label goes to the right of the point, or below to the left where it would leave the chart
+    var ctx = chart.context;
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    ctx.arc(chart.getX(x), chart.getY(y), 3.5, 0, 2 * Math.PI);
+    ctx.fill();
+
+    ctx.font = "bold 11px Arial";
+    if (chart.getX(x) + 5 + ctx.measureText(label).width <= chart.left + chart.width)
+    {
+        ctx.fillText(label, chart.getX(x) + 5, chart.getY(y) - 5);
+    }
+    else
+    {
+        ctx.textAlign = 'right';
+        ctx.fillText(label, chart.getX(x) - 5, chart.getY(y) + 14);
+        ctx.textAlign = 'left';
+    }
+}
+
+function drawPolarChart(plan)
+{
+    // The speed polar with climb upwards. The tangent from the MacCready setting touches it at the speed to fly and
+    // crosses the zero line at the cross-country speed.
+    var points = getPolarPoints();
+    var polar = plan.polar;
+    var maxSpeed = Math.max(points[2][0] / 3.6, plan.speedToFly || 0) * 1.1; // [m/s]
+    var maxSink = polar === null ? points[2][1] : getSinkAt(polar, maxSpeed);
+    var chart = beginXcChart('xcPolarChart', maxSpeed * 3.6, -Math.ceil(maxSink), Math.max(Math.ceil(plan.climb || 0) + 1, 2),
+        'airspeed', 'speed');
+    var ctx = chart.context;
+
+    points.forEach(function(e) { drawChartPoint(chart, e[0], -e[1], "#888", ""); });
+    if (polar === null) return;
+
+    drawChartCurve(chart, points[0][0] / 3.6 * 0.9, maxSpeed, function(v) { return [v * 3.6, -getSinkAt(polar, v)]; }, "#00f");
+
+    // best glide: the tangent from zero
+    var bestGlide = getSpeedToFly(polar, 0.0);
+    drawChartCurve(chart, 0.0, bestGlide, function(v) { return [v * 3.6, -getSinkAt(polar, bestGlide) * v / bestGlide]; }, "#888", [4, 3]);
+
+    if (plan.climb === null) return;
+
+    drawChartCurve(chart, 0.0, plan.speedToFly, function(v)
+    {
+        return [v * 3.6, plan.climb - (plan.climb + plan.sink) * v / plan.speedToFly];
+    }, "#d00");
+    drawChartPoint(chart, 0.0, plan.climb, "#d00", "MC");
+    drawChartPoint(chart, plan.speedToFly * 3.6, -plan.sink, "#d00", "Speed to fly");
+    drawChartPoint(chart, plan.speed * 3.6, 0.0, "#060", "XC");
+
+    ctx.font = "11px Arial";
+    ctx.fillStyle = "#888";
+    ctx.fillText("Best glide", chart.getX(bestGlide * 3.6 * 0.3), chart.getY(-getSinkAt(polar, bestGlide) * 0.3) + 14);
+}
+
+function drawMacCreadyChart(plan)
+{
+    // The speed to fly for each MacCready setting and the cross-country speed it gives with the average climb: the
+    // fastest is the setting of the climb, and the curve is flat around it
+    var polar = plan.polar;
+    var maxMacCready = Math.max(xcMaxMacCready, Math.ceil(plan.climb || 0));
+    var maxSpeed = polar === null ? 200 : Math.ceil(getSpeedToFly(polar, maxMacCready) * 3.6 / 50) * 50; // [km/h]
+    var chart = beginXcChart('xcSpeedChart', maxMacCready, 0.0, maxSpeed, 'speed', 'airspeed');
+    var ctx = chart.context;
+    if (polar === null) return;
+
+    drawChartCurve(chart, 0.0, maxMacCready, function(m) { return [m, getSpeedToFly(polar, m) * 3.6]; }, "#888", [4, 3]);
+
+    ctx.font = "11px Arial";
+    ctx.fillStyle = "#888";
+    ctx.fillText("Speed to fly", chart.getX(maxMacCready * 0.6), chart.getY(getSpeedToFly(polar, maxMacCready * 0.6) * 3.6) + 16);
+
+    if (plan.climb === null) return;
+
+    drawChartCurve(chart, 0.0, maxMacCready, function(m) { return [m, getCrossCountrySpeed(polar, m, plan.climb) * 3.6]; }, "#060");
+    drawChartPoint(chart, plan.climb, plan.speed * 3.6, "#060", "XC speed");
+}
+
+// =====================================================================================================================
+// =====================================================================================================================
+// Audio vario
+
+function getVarioClimb()
+{
+    // The flying glider has the vario on board, otherwise the probe dragged by the mouse measures the air
+    if (isQuizHidingResults()) return 0.0;
+    if (isGliderFlying()) return glider.climb;
+    if (lastThermalData === null) return 0.0;
+    return getClimbRateAt(lastThermalData, varioProbeAltitude);
+}
+
+function startVarioAudio()
+{
+    var AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return false;
+
+    if (audioContext === null) audioContext = new AudioContextClass();
+    if (audioContext.state === 'suspended') audioContext.resume();
+
+    varioGain = audioContext.createGain();
+    varioGain.gain.value = 0.0;
+    varioGain.connect(audioContext.destination);
+
+    varioOscillator = audioContext.createOscillator();
+    varioOscillator.connect(varioGain);
+    varioOscillator.start();
+
+    varioNextBeep = audioContext.currentTime;
+    varioAudioTimer = setInterval(updateVarioTone, varioAudioInterval);
+    return true;
+}
+
+function stopVarioAudio()
+{
+    if (varioAudioTimer !== null) clearInterval(varioAudioTimer);
+    varioAudioTimer = null;
+
+    if (varioOscillator !== null)
+    {
+        varioOscillator.stop();
+        varioOscillator.disconnect();
+        varioGain.disconnect();
+    }
+    varioOscillator = null;
+    varioGain = null;
+}
+
+function updateVarioTone()
+{
+    var profile = varioToneProfiles[varioToneProfile] || varioToneProfiles.classic;
+    var climb = Math.max(Math.min(getVarioClimb(), varioMaxClimb), -varioMaxClimb);
+    var now = audioContext.currentTime;
+    var gain = varioGain.gain;
+    var volume = varioMuted ? 0.0 : profile.volume;
+
+    varioOscillator.type = profile.wave;
+
+    if (climb >= profile.liftThreshold)
+    {
+        var period = 1.0 / (profile.beepRate + profile.beepRateStep * climb);
+        varioOscillator.frequency.setTargetAtTime(profile.liftFrequency + profile.liftFrequencyStep * climb, now, 0.02);
+
+        // schedule the beeps one audio interval ahead
+        if (varioNextBeep < now) varioNextBeep = now;
+        while (varioNextBeep < now + varioAudioInterval / 1000.0)
+        {
+            gain.setValueAtTime(volume, varioNextBeep);
+            gain.setValueAtTime(0.0, varioNextBeep + period * varioBeepDuty);
+            varioNextBeep += period;
+        }
+    }
+    else if (climb <= profile.sinkThreshold)
+    {
+        varioOscillator.frequency.setTargetAtTime(Math.max(profile.sinkFrequency + profile.sinkFrequencyStep * climb, 80), now, 0.05);
+        gain.cancelScheduledValues(now);
+        gain.setTargetAtTime(volume, now, 0.02);
+        varioNextBeep = now;
+    }
+    else
+    {
+        // quiet between sink alarm and lift
+        gain.cancelScheduledValues(now);
+        gain.setTargetAtTime(0.0, now, 0.02);
+        varioNextBeep = now;
+    }
+}
+
+function updateVarioAudio()
+{
+    if (varioAudio && varioAudioTimer === null)
+    {
+        if (!startVarioAudio())
+        {
+            showMessageDialog("Audio vario", ["This browser does not support the Web Audio API."]);
+            $('#cbVarioAudio').prop('checked', false);
+            varioAudio = false;
+        }
+    }
+    else if (!varioAudio && varioAudioTimer !== null)
+    {
+        stopVarioAudio();
+    }
+}
+
+function toggleVarioMute()
+{
+    varioMuted = !varioMuted;
+    $('#btnVarioMute').text(varioMuted ? "Unmute" : "Mute");
+}
+
+function drawVarioProbe()
+{
+    // Shows what the vario sounds, the climb in the main thermal at the probe
+    var y = getYOfAltitude(varioProbeAltitude);
+    var climb = getVarioClimb();
+
+    context.save();
+    context.strokeStyle = "#06c";
+    context.lineWidth = 2;
+    context.setLineDash([8, 6]);
+    context.beginPath();
+    context.moveTo(altimeterWidth, y);
+    context.lineTo(getLandscapeWidth() - altimeterWidth, y);
+    context.stroke();
+    context.restore();
+
+    context.font = "bold 15px Arial";
+    context.fillStyle = "#06c";
+    context.fillText("Vario " + formatValue('altitude', varioProbeAltitude) + ": " + formatValue('speed', climb, true), altimeterWidth + 10, y - 6);
+}
+
+function moveVarioProbe(event)
+{
+    var altitude = getAltitudeOfY(event.offsetY);
+    varioProbeAltitude = Math.max(0, Math.min(altitude, maxShownAltitude));
+    softRedraw();
+}
+
+// =====================================================================================================================
+// =====================================================================================================================
+// Comparison
+
+function getPaneState()
+{
+    // The model of the edited pane, as it is in the globals
+    var settings = {};
+    comparisonSettings.forEach(function(name) { settings[name] = window[name]; });
+    return {weatherStack: weatherStack, diurnalBaseStack: diurnalBaseStack, groundPressure: groundPressure, settings: settings,
+        history: editHistory};
+}
+
+function setPaneState(state)
+{
+    weatherStack = state.weatherStack;
+    diurnalBaseStack = state.diurnalBaseStack;
+    groundPressure = state.groundPressure;
+    editHistory = state.history;
+    for (var name in state.settings) window[name] = state.settings[name];
+}
+
+function copyStack(stack)
+{
+    if (stack === null) return null;
+    return stack.map(function(e) { return new MeteoData(e.alt, e.temp, e.windDir, e.windSpeed, e.humidity); });
+}
+
+function forkComparison()
+{
+    // The other pane gets a copy of the edited one, the edited pane stays on the right
+    if (quiz !== null) endQuiz();
+    closeLesson();
+
+    var state = getPaneState();
+    var copy = {weatherStack: copyStack(state.weatherStack), diurnalBaseStack: copyStack(state.diurnalBaseStack), groundPressure: state.groundPressure,
+        settings: $.extend({}, state.settings), history: {entries: state.history.entries.slice(), index: state.history.index}};
+
+    comparison = {side: comparison === null ? 1 : comparison.side, other: copy, paneWidth: 0};
+    $('#btnCompareClose').prop('disabled', false);
+    softRedraw();
+}
+
+function closeComparison()
+{
+    // The edited pane stays
+    if (comparison === null) return;
+
+    comparison = null;
+    $('#btnCompareClose').prop('disabled', true);
+    softRedraw();
+}
+
+function selectComparisonSide(side)
+{
+    if (comparison === null || side === comparison.side) return;
+
+    stopDay();
+    var state = getPaneState();
+    setPaneState(comparison.other);
+    comparison.other = state;
+    comparison.side = side;
+
+    pushSettingsToGui();
+    replaceWeatherStack(weatherStack);
+    updateGlider();
+    updateHistoryList();
+    softRedraw();
+}
+
+function getComparisonSideAt(x)
+{
+    return x >= comparison.paneWidth ? 1 : 0;
+}
+
+function getScenePosition(event)
+{
+    // The mouse position in the scene of the edited pane
+    var left = comparison === null ? 0 : comparison.side * comparison.paneWidth;
+    return {offsetX: event.offsetX - left, offsetY: event.offsetY};
+}
+
+function drawView(width, height, indices)
+{
+    // indices are the stability indices of the edited profile, null when they are not shown
+    if (comparison === null) drawScene(width, height, indices);
+    else drawComparison(width, height, indices);
+}
+
+function drawComparison(width, height, indices)
+{
+    // Both panes with the same altitude scale. The edited pane is drawn last: the glider, the vario and the curve
+    // editing work with the layout and the thermal it leaves behind.
+    var paneWidth = Math.floor(width / 2);
+    var active = getPaneState();
+    var screenGlider = showGlider;
+    var screenVarioAudio = varioAudio;
+    var panes = [];
+    var results = [];
+
+    panes[comparison.side] = active;
+    panes[1 - comparison.side] = comparison.other;
+    comparison.paneWidth = paneWidth;
+
+    try
+    {
+        [1 - comparison.side, comparison.side].forEach(function(side)
+        {
+            setPaneState(panes[side]);
+            showGlider = screenGlider && side === comparison.side;
+            varioAudio = screenVarioAudio && side === comparison.side;
+
+            context.save();
+            context.translate(side * paneWidth, 0);
+            // the other pane needs its own indices only for a highlighted layer
+            var paneIndices = side === comparison.side ? indices : indices !== null && highlightedIndex !== null ? getStabilityIndices() : null;
+            drawScene(paneWidth, height, paneIndices);
+            context.restore();
+
+            results[side] = {profile: getModelProfile(), thermalData: lastThermalData, cloudType: getCloudType(lastThermalData)};
+        });
+    }
+    finally
+    {
+        setPaneState(active);
+        showGlider = screenGlider;
+        varioAudio = screenVarioAudio;
+    }
+
+    drawComparisonDifferences(paneWidth, height, results);
+}
+
+function getComparisonSummary(results)
+{
+    function cloudBase(result)
+    {
+        return result.cloudType === 'none' ? null : result.thermalData.cloudBase;
+    }
+
+    var left = cloudBase(results[0]);
+    var right = cloudBase(results[1]);
+    var cloudBaseText;
+    if (left !== null && right !== null) cloudBaseText = formatValue('altitude', right - left, true);
+    else if (left === null && right === null) cloudBaseText = "blue on both sides";
+    else cloudBaseText = (left === null ? "blue" : formatValue('altitude', left)) + " → " + (right === null ? "blue" : formatValue('altitude', right));
+
+    return [
+        "Right - left",
+        "Δ cloudbase " + cloudBaseText,
+        "Δ thermal top " + formatValue('altitude', results[1].thermalData.thermalTop - results[0].thermalData.thermalTop, true)
+    ];
+}
+
+function drawComparisonDifferences(paneWidth, height, results)
+{
+    var sceneBottom = height - grassHeight;
+
+    context.save();
+
+    // layers that differ: temperature left of the divider, humidity right of it, neighbouring layers of the same
+    // color are drawn as one
+
+    function getDifferenceColor(diff, threshold, more, less)
+    {
+        if (Math.abs(diff) < threshold) return null;
+        return diff > 0 ? more : less;
+    }
+
+    [
+        {x: paneWidth - comparisonStripWidth, getColor: function(altitude)
+        {
+            var diff = getProfileTemperatureAt(results[1].profile, altitude) - getProfileTemperatureAt(results[0].profile, altitude);
+            return getDifferenceColor(diff, comparisonTempThreshold, "#d00", "#06c");
+        }},
+        {x: paneWidth, getColor: function(altitude)
+        {
+            var diff = getProfileAbsoluteHumidityAt(results[1].profile, altitude) - getProfileAbsoluteHumidityAt(results[0].profile, altitude);
+            return getDifferenceColor(diff, comparisonHumiThreshold, "#0a0", "#b80");
+        }}
+    ].forEach(function(strip)
+    {
+        var runStart = 0;
+        var runColor = null;
+
+        for (var altitude = 0; altitude <= maxShownAltitude; altitude += comparisonStep)
+        {
+            var color = altitude < maxShownAltitude ? strip.getColor(altitude + comparisonStep / 2) : null;
+            if (color === runColor) continue;
+
+            if (runColor !== null)
+            {
+                var top = getYOfAltitude(altitude);
+                context.fillStyle = runColor;
+                context.fillRect(strip.x, top, comparisonStripWidth, getYOfAltitude(runStart) - top);
+            }
+
+            runStart = altitude;
+            runColor = color;
+        }
+    });
+
+    context.strokeStyle = "#000";
+    context.lineWidth = 1;
+    context.beginPath();
+    context.moveTo(paneWidth + 0.5, 0);
+    context.lineTo(paneWidth + 0.5, sceneBottom);
+    context.stroke();
+
+    // the edited pane
+
+    context.strokeStyle = "#036";
+    context.lineWidth = 3;
+    context.strokeRect(comparison.side * paneWidth + 1.5, 1.5, paneWidth - 3, height - 8);
+
+    // cloudbase and thermal top deltas, and what the strips mean
+
+    var lines = getComparisonSummary(results);
+    var legend = [
+        {color: "#d00", text: "warmer"}, {color: "#06c", text: "colder"},
+        {color: "#0a0", text: "moister"}, {color: "#b80", text: "drier"}
+    ];
+
+    context.font = "bold 14px Arial";
+    var boxWidth = Math.max.apply(null, lines.map(function(e) { return context.measureText(e).width; })) + 16;
+    boxWidth = Math.max(boxWidth, 190);
+    var boxLeft = paneWidth - boxWidth / 2;
+    var boxHeight = lines.length * 18 + 2 * 18 + 10;
+
+    context.fillStyle = "rgba(255, 255, 255, 0.9)";
+    context.fillRect(boxLeft, 8, boxWidth, boxHeight);
+    context.strokeRect(boxLeft, 8, boxWidth, boxHeight);
+    context.fillStyle = "#036";
+    lines.forEach(function(e, i) { context.fillText(e, boxLeft + 8, 8 + (i + 1) * 18); });
+
+    context.font = "12px Arial";
+    legend.forEach(function(e, i)
+    {
+        var x = boxLeft + 8 + (i % 2) * 90;
+        var y = 8 + (lines.length + 1 + Math.floor(i / 2)) * 18;
+        context.fillStyle = e.color;
+        context.fillRect(x, y - 10, 10, 10);
+        context.fillStyle = "#000";
+        context.fillText(e.text, x + 14, y);
+    });
+
+    context.restore();
+}
+
+// =====================================================================================================================
+// =====================================================================================================================
+// Quiz
+
+function isQuizHidingResults()
+{
+    return quiz !== null && !quiz.revealed;
+}
+
+function getQuizRandomProfile(random)
+{
+    // A convective morning: a mixed layer near the dry adiabat, an inversion on top of it and a more or less stable
+    // free atmosphere above. Moisture and stability vary from blue days to overdevelopment.
+    function between(min, max) { return min + random() * (max - min); }
+
+    var groundTemp = between(14.0, 32.0);
+    var mixedTop = Math.round(between(800, 2800) / 100) * 100;
+    var inversionTop = mixedTop + Math.round(between(100, 400) / 100) * 100;
+    var mixedTopTemp = groundTemp - between(0.0075, 0.0098) * mixedTop;
+    var inversionTopTemp = mixedTopTemp + between(0.0, 3.0);
+    var midTemp = inversionTopTemp - between(0.004, 0.0065) * (6000 - inversionTop);
+    var topTemp = midTemp - 0.0065 * (calculationsMaxHeight - 6000);
+
+    // the dew point of well mixed air falls about 0.18K per 100m, the air above the inversion is drier
+    var groundDewPoint = groundTemp - between(4.0, 15.0);
+    var mixedTopDewPoint = Math.min(groundDewPoint - 0.0018 * mixedTop, mixedTopTemp);
+
+    var windDir = Math.round(between(0, 35)) * 10;
+    var windSpeed = between(0.0, 4.0);
+
+    function level(altitude, temperature, dewPoint, windGain)
+    {
+        return {alt: altitude, temp: roundToDecim(temperature, 1), windDir: windDir, windSpeed: roundToDecim(windSpeed + windGain, 1),
+            humidity: roundToDecim(getAbsoluteHumidityForDewPoint(dewPoint, temperature), 2)};
+    }
+
+    return {
+        solarStrength: roundToDecim(between(0.5, 1.0), 1),
+        weatherStack: [
+            level(0, groundTemp, groundDewPoint, 0.0),
+            level(mixedTop, mixedTopTemp, mixedTopDewPoint, 1.0),
+            level(inversionTop, inversionTopTemp, inversionTopTemp - between(8.0, 25.0), 2.0),
+            level(6000, midTemp, midTemp - between(5.0, 25.0), 4.0),
+            level(calculationsMaxHeight, topTemp, topTemp - 15.0, 7.0)
+        ]
+    };
+}
+
+function applyQuizProfile(name, settings, levels)
+{
+    // The question must not change while it is asked, so the day cycle is stopped
+    stopDay();
+    var doc = {format: scenarioFormat, version: scenarioVersion, settings: $.extend({}, settings, {showDiurnalCycle: false}), weatherStack: levels};
+    return applyScenario(doc, name);
+}
+
+function nextQuizQuestion()
+{
+    quiz.revealed = false;
+    $('#quizBox .quizInput').val('');
+    $('#quizBox input[name=quizPick]').first().prop('checked', true);
+    $('#quizResult').empty();
+    $('#infoBox').hide();
+
+    if (quiz.source === 'presets')
+    {
+        var preset = weatherPresets[quiz.presetIndex++ % weatherPresets.length];
+        applyQuizProfile("preset " + preset.name, preset.settings || {}, preset.weatherStack);
+    }
+    else
+    {
+        // a few tries for a day with thermals worth asking about
+        for (var i = 0; i < 20; ++i)
+        {
+            var profile = getQuizRandomProfile(quiz.random);
+            applyQuizProfile("the quiz", {solarStrength: profile.solarStrength}, profile.weatherStack);
+            if (getThermalData().thermalTop >= quizMinThermalTop) break;
+        }
+    }
+
+    // one step for all the tries, labelled without giving away the preset
+    recordHistory("Quiz question");
+    ++quiz.question;
+    updateQuizBox();
+    softRedraw();
+}
+
+function startQuiz()
+{
+    // the weather before the quiz comes back when it ends, also after a restart
+    var savedScenario = quiz !== null ? quiz.savedScenario : serializeScenario();
+
+    closeLesson();
+    closeComparison();
+    quiz = {source: $('#selQuizSource').val(), random: createRandom(Date.now()), presetIndex: 0, question: 0, score: 0, maxScore: 0, revealed: false,
+        savedScenario: savedScenario};
+    $('#quizBox').show();
+    nextQuizQuestion();
+}
+
+function endQuiz()
+{
+    if (quiz === null) return;
+
+    var savedScenario = quiz.savedScenario;
+    quiz = null;
+    $('#quizBox').hide();
+
+    stopDay();
+    restoreScenario(savedScenario);
+    recordHistory("End quiz");
+}
+
+function updateQuizBox()
+{
+    $('#quizScore').text("question " + quiz.question + ", " + quiz.score + " / " + quiz.maxScore + " points");
+    $('#btnQuizCheck').prop('disabled', quiz.revealed);
+}
+
+function readQuizPredictions()
+{
+    // Predicted altitudes [m] from the inputs in display units, null where nothing is entered
+    var predictions = {};
+    $('#quizBox .quizInput').each(function()
+    {
+        var value = parseFloat($(this).val());
+        predictions[$(this).data('prediction')] = isNaN(value) ? null : fromDisplayUnit('altitude', value);
+    });
+    return predictions;
+}
+
+function pickQuizAltitude(event)
+{
+    // A click on the canvas fills the selected prediction and moves on to the next one
+    var altitude = Math.max(0, Math.min(getAltitudeOfY(event.offsetY), maxShownAltitude));
+    var pick = $('#quizBox input[name=quizPick]:checked');
+
+    $('#quizBox .quizInput[data-prediction=' + pick.val() + ']').val(getDisplayValue('altitude', altitude));
+    pick.parent().nextAll('label').first().find('input[name=quizPick]').prop('checked', true);
+    softRedraw();
+}
+
+function checkQuizAnswer()
+{
+    if (quiz === null || quiz.revealed) return;
+
+    var predictions = readQuizPredictions();
+    var thermalData = getThermalData();
+    var blue = getCloudType(thermalData) === 'none';
+    var best = getBestClimb(thermalData, calculationResolution);
+    var results = [];
+
+    function yours(altitude)
+    {
+        return altitude === null ? "nothing" : formatValue('altitude', altitude);
+    }
+
+    function score(text, right)
+    {
+        results.push(text + (right ? ": right" : ": wrong"));
+        if (right) ++quiz.score;
+        ++quiz.maxScore;
+    }
+
+    if (blue) score("No clouds today, you said " + (predictions.cloudBase === null ? "blue" : yours(predictions.cloudBase)), predictions.cloudBase === null);
+    else score("Cloudbase " + formatValue('altitude', thermalData.cloudBase) + ", you said " + (predictions.cloudBase === null ? "blue" : yours(predictions.cloudBase)),
+        predictions.cloudBase !== null && Math.abs(predictions.cloudBase - thermalData.cloudBase) <= quizCloudBaseTolerance);
+
+    score("Thermal top " + formatValue('altitude', thermalData.thermalTop) + ", you said " + yours(predictions.thermalTop),
+        predictions.thermalTop !== null && Math.abs(predictions.thermalTop - thermalData.thermalTop) <= quizThermalTopTolerance);
+
+    score("Best climb " + formatValue('speed', best.climbRate) + " at " + formatValue('altitude', best.altitude) + ", you said " + yours(predictions.bestClimb),
+        predictions.bestClimb !== null && getClimbRateAt(thermalData, predictions.bestClimb) >= best.climbRate - quizClimbTolerance);
+
+    quiz.revealed = true;
+    $('#quizResult').empty().append(results.map(function(e) { return $('<div></div>').text(e); }));
+    updateQuizBox();
+    softRedraw();
+}
+
+function drawQuizMarks(thermalData)
+{
+    // Predictions dashed, after checking the answers solid next to them
+    var predictions = readQuizPredictions();
+    var best = getBestClimb(thermalData, calculationResolution);
+    var marks = [
+        {name: "cloudbase", prediction: predictions.cloudBase, answer: getCloudType(thermalData) === 'none' ? null : thermalData.cloudBase},
+        {name: "thermal top", prediction: predictions.thermalTop, answer: thermalData.thermalTop},
+        {name: "best climb", prediction: predictions.bestClimb, answer: best.altitude}
+    ];
+
+    context.save();
+    context.font = "bold 14px Arial";
+    context.lineWidth = 2;
+
+    var left = altimeterWidth;
+    var right = getLandscapeWidth() - altimeterWidth;
+
+    marks.forEach(function(mark)
+    {
+        // predictions are labelled above their line on the left, answers below theirs on the right
+        [{altitude: mark.prediction, color: "#c60", dash: [8, 6], label: "your " + mark.name, align: 'left', x: left + 10, offset: -5},
+         {altitude: quiz.revealed ? mark.answer : null, color: "#060", dash: [], label: mark.name, align: 'right', x: right - 10, offset: 17}].forEach(function(line)
+        {
+            if (line.altitude === null) return;
+            var y = getYOfAltitude(line.altitude);
+
+            context.strokeStyle = line.color;
+            context.fillStyle = line.color;
+            context.setLineDash(line.dash);
+            context.beginPath();
+            context.moveTo(left, y);
+            context.lineTo(right, y);
+            context.stroke();
+            context.textAlign = line.align;
+            context.fillText(line.label + " " + formatValue('altitude', line.altitude), line.x, y + line.offset);
+        });
+    });
+
+    context.restore();
+}
+
+// =====================================================================================================================
+// =====================================================================================================================
+// Curve editing
+
+function findLevelNear(y)
+{
+    // Closest level of the edited stack within grabbing distance, or null
+    var found = null;
+    var distance = curveGrabDistance;
+
+    getEditedStack().forEach(function(level)
+    {
+        var levelDistance = Math.abs(getYOfAltitude(level.alt) - y);
+        if (levelDistance <= distance)
+        {
+            found = level;
+            distance = levelDistance;
+        }
+    });
+
+    return found;
+}
+
+function findCurveAt(x, y)
+{
+    // Point of the temperature or dew point curve under the mouse: an existing level when close to one, a new
+    // altitude otherwise. Returns {fieldName, altitude, level} or null; fieldName is null where the curves meet.
+    if (!showTempGraph) return null;
+
+    var altitude = getAltitudeOfY(y);
+    if (altitude < 0 || altitude > maxShownAltitude) return null;
+
+    var level = findLevelNear(y);
+    altitude = level !== null ? level.alt : Math.round(altitude / curveLevelSnap) * curveLevelSnap;
+
+    var geometry = getTempGraphGeometry();
+    var tempDistance = Math.abs(geometry.zeroX + geometry.pixelsPerUnit * getTemperatureAt(altitude) - x);
+    var dewPointDistance = Math.abs(geometry.zeroX + geometry.pixelsPerUnit * getDewPointAt(altitude) - x);
+    if (Math.min(tempDistance, dewPointDistance) > curveGrabDistance) return null;
+
+    var fieldName = tempDistance <= dewPointDistance ? 'temp' : 'dewPoint';
+    if (Math.abs(tempDistance - dewPointDistance) < 1) fieldName = null;
+
+    return {fieldName: fieldName, altitude: altitude, level: level};
+}
+
+function moveCurvePoint(event)
+{
+    // Sets the dragged temperature or dew point to the mouse position, the first move inserts the level
+    var geometry = getTempGraphGeometry();
+    var value = (event.offsetX - geometry.zeroX) / geometry.pixelsPerUnit;
+    var altitude = curveDrag.altitude;
+
+    // in saturated air the first move decides: warming moves the temperature, drying the dew point
+    if (curveDrag.fieldName === null) curveDrag.fieldName = value >= getTemperatureAt(altitude) ? 'temp' : 'dewPoint';
+
+    editWeatherStack(function()
+    {
+        var temperature = getTemperatureAt(altitude);
+
+        if (curveDrag.fieldName === 'temp')
+        {
+            // the air can not be colder than its dew point
+            setTemperatureAt(altitude, Math.min(Math.max(value, getDewPointAt(altitude)), soundingMaxTemp));
+        }
+        else
+        {
+            var dewPoint = Math.max(Math.min(value, temperature), soundingMinTemp);
+            setAbsoluteHumidityAt(altitude, getAbsoluteHumidityForDewPoint(dewPoint, temperature));
+        }
+    });
+
+    updateGauges();
+    softRedraw();
+}
+
+function toggleCurveLevel(event)
+{
+    // Double-click on a curve adds a level there, on a level removes it. The ground and the top level stay.
+    var hit = findCurveAt(event.offsetX, event.offsetY);
+    if (hit === null) return;
+
+    editWeatherStack(function()
+    {
+        if (hit.level === null)
+        {
+            setDataAt(hit.altitude, 'temp', getTemperatureAt(hit.altitude));
+        }
+        else if (hit.level.alt > 0 && hit.level.alt < calculationsMaxHeight)
+        {
+            weatherStack.splice(weatherStack.indexOf(hit.level), 1);
+        }
+    });
+
+    recordHistory((hit.level === null ? "Add level at " : "Remove level at ") + formatValue('altitude', hit.altitude));
+    updateGauges();
+    softRedraw();
+}
+
+// =====================================================================================================================
+// =====================================================================================================================
+// History
+
+function getLevelEditLabel(fieldName, altitude)
+{
+    return historyFieldNames[fieldName] + " at " + formatValue('altitude', altitude);
+}
+
+function getControlLabel(control)
+{
+    // "Fieldset: label" of a GUI control, checkboxes with their new state
+    var label = control.closest('label').clone();
+    label.find('input, select').remove();
+    var name = label.text().replace(/\[.*\]/, '').trim() || control.attr('title') || control.find('option:selected').text();
+    if (control.is(':checkbox')) name += control.is(':checked') ? " on" : " off";
+
+    var legend = control.closest('fieldset').children('legend').text();
+    return legend !== '' ? legend + ": " + name : name;
+}
+
+function recordHistory(label, mergeKey)
+{
+    // Makes the current scenario the next step, the undone steps after the shown one are dropped. Another change with
+    // the mergeKey of the last step within historyMergeTime updates that step, so spinners and playing the day are one.
+    if (historyDragging) return;
+
+    var state = serializeScenario();
+    var text = JSON.stringify(state);
+    var entries = editHistory.entries;
+    var last = entries[editHistory.index];
+    if (last && text === last.text) return;
+
+    var time = Date.now();
+    entries.splice(editHistory.index + 1);
+    if (last && mergeKey && mergeKey === last.mergeKey && time - last.time < historyMergeTime && entries.length > 1)
+    {
+        entries.pop();
+        // changed back to where it was before: no step at all
+        if (text === entries[entries.length - 1].text)
+        {
+            editHistory.index = entries.length - 1;
+            updateHistoryList();
+            return;
+        }
+    }
+
+    entries.push({label: label, state: state, text: text, mergeKey: mergeKey || null, time: time});
+    if (entries.length > historyMaxSteps) entries.shift();
+    editHistory.index = entries.length - 1;
+    updateHistoryList();
+}
+
+function startSliderDrag()
+{
+    historyDragging = true;
+}
+
+function stopSliderDrag(event)
+{
+    var slider = $(event.target);
+    historyDragging = false;
+    recordHistory(getLevelEditLabel(slider.data('fieldName'), slider.data('altitude')));
+}
+
+function showHistoryStep(index)
+{
+    // Undo and redo go to a recorded step, the steps around it stay
+    if (index < 0 || index >= editHistory.entries.length || index === editHistory.index) return;
+
+    stopDay();
+    stopLessonAnimation();
+    editHistory.index = index;
+    restoreScenario(editHistory.entries[index].state);
+    updateHistoryList();
+}
+
+function undoEdit()
+{
+    showHistoryStep(editHistory.index - 1);
+}
+
+function redoEdit()
+{
+    showHistoryStep(editHistory.index + 1);
+}
+
+function updateHistoryList()
+{
+    $('#btnUndo').prop('disabled', editHistory.index <= 0);
+    $('#btnRedo').prop('disabled', editHistory.index >= editHistory.entries.length - 1);
+
+    var list = $('#historyList').empty();
+    editHistory.entries.forEach(function(entry, i)
+    {
+        list.append($('<li></li>').attr('data-step', i).text(entry.label)
+            .toggleClass('historyCurrent', i === editHistory.index)
+            .toggleClass('historyUndone', i > editHistory.index));
+    });
+
+    var current = list.children('.historyCurrent').get()[0];
+    if (current && showHistoryList) current.scrollIntoView({block: 'nearest'});
+}
+
+// =====================================================================================================================
+// =====================================================================================================================
+// Main loop
+
+$(function()
+{
+    canvas = $('#thermalCanvas');
+    wrapperDiv = canvas;
+    context = canvas.get()[0].getContext("2d");
+
+    $(window).resize(softRedraw);
+
+    pushSettingsToGui();
+    showGroundHumidity();
+
+    $('.guiControl').change(function()
+    {
+        var unitsKey = getUnitsKey();
+        pullSettingsFromGui();
+
+        if (getUnitsKey() !== unitsKey)
+        {
+            updateUnitControls();
+            updateGauges();
+        }
+
+        var groundHumidity = parseFloat($('#numAbsoluteHumi').val());
+        if (groundHumidity !== roundToDecim(defaultGroundAbsoluteHumidity, 2))
+        {
+            // changed in the field, not only shown rounded
+            // the thermal parcel takes its moisture from the ground level of the weatherStack
+            defaultGroundAbsoluteHumidity = groundHumidity;
+            setAbsoluteHumidityAt(0, groundHumidity);
+            $('#humiGauge0').val(groundHumidity);
+            $('#humiSlider0').slider('value', groundHumidity);
+        }
+
+        updateGroundPressure();
+        updateDiurnalCycle();
+        updateGlider();
+        updateVarioAudio();
+        recordHistory(getControlLabel($(this)), this.id);
+        softRedraw();
+    });
+
+    $('#numTimeOfDay').on('input', function() { $(this).trigger('change'); });
+    $('#btnPlayDay').click(playDay);
+    $('#btnLaunchGlider').click(function()
+    {
+        $('#cbGlider').prop('checked', true).trigger('change');
+        launchGlider();
+    });
+    $('#btnVarioMute').click(toggleVarioMute);
+    canvas.mousedown(function(event)
+    {
+        // a click on the other pane of a comparison selects it for editing
+        if (comparison !== null && getComparisonSideAt(event.offsetX) !== comparison.side)
+        {
+            selectComparisonSide(getComparisonSideAt(event.offsetX));
+            return;
+        }
+
+        var position = getScenePosition(event);
+        if (position.offsetX > getLandscapeWidth()) return;
+
+        if (isQuizHidingResults())
+        {
+            pickQuizAltitude(position);
+            return;
+        }
+
+        curveDrag = findCurveAt(position.offsetX, position.offsetY);
+        if (curveDrag !== null)
+        {
+            event.preventDefault();
+            return;
+        }
+
+        if (!varioAudio || isGliderFlying()) return;
+        if (audioContext !== null && audioContext.state === 'suspended') audioContext.resume();
+        varioProbeDragging = true;
+        moveVarioProbe(position);
+    });
+    canvas.mousemove(function(event)
+    {
+        var position = getScenePosition(event);
+        if (curveDrag !== null) moveCurvePoint(position);
+        else if (varioProbeDragging) moveVarioProbe(position);
+        else canvas.css('cursor', findCurveAt(position.offsetX, position.offsetY) !== null ? 'ew-resize' : '');
+    });
+    canvas.dblclick(function(event)
+    {
+        toggleCurveLevel(getScenePosition(event));
+    });
+    $(document).mouseup(function()
+    {
+        varioProbeDragging = false;
+        if (curveDrag !== null && curveDrag.fieldName !== null) recordHistory(getLevelEditLabel(curveDrag.fieldName, curveDrag.altitude));
+        curveDrag = null;
+    });
+    $('#btnCustomPolar').click(function()
+    {
+        $('#customPolarDialog').dialog({width: 360});
+    });
+
+    updateGroundPressure();
+
+    // Default weather
+
+    weatherStack.push(new MeteoData(0, defaultGroundTemperature, 270, 0.0, defaultGroundAbsoluteHumidity));
+    weatherStack.push(new MeteoData(9500, defaultGroundTemperature - (9500 / 100.0) * defaultTemperatureGradient, 270, 0.0, 1.0));
+    weatherStack.push(new MeteoData(calculationsMaxHeight, -20.0, 270, 0.0, 0.5));
+
+    $('.altiControl').change(function()
+    {
+        reCreateGauges();
+        softRedraw();
+    });
+
+    $('#btnImportSounding').click(function()
+    {
+        $('#fileSounding').val('').click();
+    });
+
+    $('#fileSounding').change(function(evt)
+    {
+        var file = evt.target.files[0];
+        if (!file) return;
+
+        var reader = new FileReader();
+        reader.onload = function() { importSounding(reader.result); };
+        reader.onerror = function() { showMessageDialog("Sounding import", ["Could not read " + file.name + ":", reader.error.message]); };
+        reader.readAsText(file);
+    });
+
+    $('#btnSaveScenario').click(downloadScenario);
+    $('#btnExport').click(showExportDialog);
+    $('#btnTerrain').click(showTerrainDialog);
+    $('#btnTerrainAdd').click(addTerrainPoint);
+    $('#btnTerrainFlat').click(function() { fillTerrainTable(defaultTerrain); });
+    $('#terrainTable').on('click', '.terrainRemove', function()
+    {
+        $(this).closest('tr').remove();
+    });
+    $('#btnCompareFork').click(forkComparison);
+    $('#btnCompareClose').click(closeComparison);
+    $('#btnQuizStart').click(startQuiz);
+    $('#btnQuizCheck').click(checkQuizAnswer);
+    $('#btnQuizNext').click(nextQuizQuestion);
+    $('#btnQuizEnd').click(endQuiz);
+    $('#quizBox .quizInput').on('input', softRedraw);
+    $('#btnLessonBack').click(function() { showLessonStep(lesson.index - 1); });
+    $('#btnLessonNext').click(function() { showLessonStep(lesson.index + 1); });
+    $('#btnLessonClose').click(closeLesson);
+
+    $(document).keydown(function(event)
+    {
+        // lesson steps with the arrow keys, unless a control has the focus
+        if (lesson === null || $(event.target).is('input, select, textarea')) return;
+
+        if (event.key === 'ArrowRight' || event.key === 'PageDown') showLessonStep(lesson.index + 1);
+        else if (event.key === 'ArrowLeft' || event.key === 'PageUp') showLessonStep(lesson.index - 1);
+        else if (event.key === 'Escape') closeLesson();
+        else return;
+
+        event.preventDefault();
+    });
+    $('#btnLinkScenario').click(showScenarioLink);
+
+    $('#btnUndo').click(undoEdit);
+    $('#btnRedo').click(redoEdit);
+    $('#cbHistoryList').change(function()
+    {
+        showHistoryList = $(this).is(':checked');
+        softRedraw();
+    });
+    $('#historyList').on('click', 'li', function()
+    {
+        showHistoryStep(parseInt($(this).attr('data-step'), 10));
+    });
+    $(document).keydown(function(event)
+    {
+        // Ctrl+Z, Ctrl+Y and Ctrl+Shift+Z, text fields keep their own undo
+        if (!(event.ctrlKey || event.metaKey) || $(event.target).is('input[type=number], input[type=text], input[type=date], textarea')) return;
+
+        var key = event.key.toLowerCase();
+        if (key === 'z' && !event.shiftKey) undoEdit();
+        else if (key === 'y' || key === 'z') redoEdit();
+        else return;
+
+        event.preventDefault();
+    });
+
+    $('#btnLoadScenario').click(function()
+    {
+        $('#fileScenario').val('').click();
+    });
+
+    $('#fileScenario').change(function(evt)
+    {
+        var file = evt.target.files[0];
+        if (!file) return;
+
+        var reader = new FileReader();
+        reader.onload = function() { parseScenario(reader.result, file.name); };
+        reader.onerror = function() { showMessageDialog("Scenario not loaded", ["Could not read " + file.name + ":", reader.error.message]); };
+        reader.readAsText(file);
+    });
+
+    $(window).on('hashchange', loadScenarioFromHash);
+
+    createPresetPicker();
+    createLessonPicker();
+    createIndexPanel();
+    $('#infoBox .infoClose').click(function() { $('#infoBox').hide(); });
 
     reCreateGauges();
+    updateDiurnalCycle();
+    updateGlider();
+    recordHistory("Start");
+    loadScenarioFromHash();
     redrawCanvas();
 });
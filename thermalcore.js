@@ -0,0 +1,1303 @@
+// Thermal model core
+//
+// The meteorology behind thermal.js, working on an explicit profile and settings instead of the page state, so the
+// same calculations run in the browser and under node (see forecast.js). In the page this script is loaded before
+// thermal.js and everything here is global, under node the functions are exported at the end.
+//
+// profile:  {groundPressure: [Pa] at 0m, levels: [{alt, temp, windDir, windSpeed, humidity}, ...]}
+//           levels are sorted by altitude [m above ground] from 0m up to calculationsMaxHeight
+// settings: {solarStrength: 0.0 - 1.0, calculationResolution: [m] spacing of the returned thermal levels}
+
+const calculationsMaxHeight = 10000;
+
+// Cloud types by the stability of the cloud layer, the buoyant energy [J/kg] of the parcel from the cloud base to the
+// thermal top, and by the temperature at the top
+const cloudMediocrisEnergy = 20;
+const cloudCongestusEnergy = 300;
+const cloudCumulonimbusEnergy = 1000;
+const cloudGlaciationTemperature = -20.0; // [C] tops colder than this freeze out and spread as an anvil
+const cloudTypeNames = {
+    none: "Blue thermal",
+    humilis: "Cumulus humilis",
+    mediocris: "Cumulus mediocris",
+    congestus: "Cumulus congestus",
+    cumulonimbus: "Cumulonimbus"
+};
+
+// Physical constants
+const gravity = 9.80665; // [m/s2]
+const dryAirGasConstant = 287.05; // [J/(kg*K)]
+const waterVapourGasConstant = 461.5; // [J/(kg*K)]
+const dryAirHeatCapacity = 1005.7; // [J/(kg*K)] at constant pressure
+const vaporizationHeat = 2.501e6; // [J/kg]
+const gasConstantRatio = dryAirGasConstant / waterVapourGasConstant;
+const dryAdiabaticLapseRate = gravity / dryAirHeatCapacity; // [K/m]
+const standardPressure = 101325.0; // [Pa] ISA mean sea level pressure
+
+// Parcel simulation
+const parcelStep = 10; // [m] Integration step of the parcel ascent
+const thermalSurfaceExcess = 3.0; // [K] Temperature excess of the parcel over ambient air at ground at full solar strength
+const thermalDragCoefficient = 0.004; // [1/m] Entrainment and drag slowing down the rising parcel
+const thermalMeanUpdraftRatio = 0.6; // Mean updraft across the circling radius compared to the parcel core speed
+const defaultModelSettings = {solarStrength: 0.8, calculationResolution: 100};
+
+// Surfaces: albedo and the share of the absorbed sunshine that heats the air instead of evaporating water or being
+// stored. The meadow is the reference the profile's own thermal starts from.
+const surfaceTypes = {
+    grass: {name: "Meadow", albedo: 0.23, heating: 1.0},
+    field: {name: "Ploughed field", albedo: 0.15, heating: 1.15},
+    forest: {name: "Forest", albedo: 0.12, heating: 0.6},
+    lake: {name: "Lake", albedo: 0.07, heating: 0.0},
+    town: {name: "Town", albedo: 0.15, heating: 1.25},
+    snow: {name: "Snowfield", albedo: 0.8, heating: 0.7}
+};
+const referenceSurface = 'grass';
+const thermalTriggerExcess = 0.5; // [K] surfaces heating the air less than this release no thermals
+const terrainMaxElevation = 3000; // [m]
+const terrainSectionWidth = 10000; // [m] across the landscape, from terrain x 0 to 1
+
+// Stability indices
+const thermalIndexLevels = [500, 1000, 1500, 2000, 2500, 3000]; // [m] above the ground
+
+// Orographic lift
+const ridgeMinHeight = 100; // [m] lower bumps give no ridge lift
+const ridgeMinCrossWind = 3.0; // [m/s] at the ridge top
+const ridgeLiftDepth = 1.0; // in ridge half widths, the air over the slope follows the terrain less with height
+const orographicStep = 50; // [m] horizontal step of the slope of the displaced air
+const waveMinCrossWind = 7.0; // [m/s] at the ridge top, weaker wind sets up no lee waves
+const waveStableLayer = 2.0e-4; // [1/s2] squared Brunt-Vaisala frequency of a stable layer
+const waveScorerStep = 100; // [m]
+const waveSearchDepth = 4000; // [m] above the ridge top where the stable layer is looked for
+const waveUpperDepth = 3000; // [m] above the stable layer, the air the waves have to fade out in
+const waveAmplitudeRatio = 0.5; // amplitude in ridge heights when the ridge width suits the wavelength best
+const waveDownstreamDecay = 3.0; // [wavelengths] for the amplitude to fall to 1/e
+const waveMinLength = 2000; // [m]
+const waveMaxLength = 30000; // [m]
+
+// Sounding import
+const soundingMaxTemp = 60.0; // [C]
+const soundingMinTemp = -100.0; // [C]
+const knotsToMs = 0.514444;
+
+// Scenarios
+const scenarioFormat = 'thermalmagic-scenario';
+const scenarioVersion = 2; // 2: wind direction and speed instead of a signed west-east wind
+const scenarioSettings = {
+    // the settings a scenario may have with the values the controls of the page allow, numbers in internal units:
+    // [min, max] for numbers, a list of the allowed values, 'boolean' or 'date'
+    maxShownAltitude: [1000, 10000],
+    altimeterResolution: [100, 5000],
+    showTemperatureColoring: 'boolean',
+    showTemperatureColoringHalf: 'boolean',
+    temperatureColoringOpacity: [0.0, 1.0],
+    showFullWidthLines: 'boolean',
+    showCloudBase: 'boolean',
+    showHumidityColoring: 'boolean',
+    showHumidityColoringHalf: 'boolean',
+    humidityColoringOpacity: [0.0, 1.0],
+    humidityMode: ['relative', 'absolute', 'spread'],
+    referencePressure: [800.0, 1100.0],
+    pressureReference: ['qnh', 'qfe'],
+    fieldElevation: [-500, 5000],
+    pressureScale: ['none', 'hpa', 'fl'],
+    showVario: 'boolean',
+    solarStrength: [0.0, 1.0],
+    lockSolarToTemps: 'boolean',
+    varioInterval: [100, 5000],
+    showDiurnalCycle: 'boolean',
+    timeOfDay: [4, 22],
+    simulationDate: 'date',
+    latitude: [-90, 90],
+    sectionAzimuth: [0, 360],
+    showWindBarbs: 'boolean',
+    showWindShear: 'boolean',
+    showOrographicLift: 'boolean',
+    thermalCount: [1, 12],
+    thermalSeed: [1, 9999],
+    showCloudStreets: 'boolean',
+    showGlider: 'boolean',
+    gliderPolar: ['trainer', 'club', 'open', 'custom'],
+    customPolarSpeed1: [40, 300],
+    customPolarSink1: [0.1, 10],
+    customPolarSpeed2: [40, 300],
+    customPolarSink2: [0.1, 10],
+    customPolarSpeed3: [40, 300],
+    customPolarSink3: [0.1, 10],
+    showXcPlanner: 'boolean',
+    xcBandBottom: [0, 10000],
+    xcBandTop: [0, 10000],
+    varioAudio: 'boolean',
+    varioToneProfile: ['classic', 'soft', 'digital'],
+    showTempGraph: 'boolean',
+    showHumiGraph: 'boolean',
+    showPressGraph: 'boolean',
+    showSkewDiagram: 'boolean',
+    showSkewSideBySide: 'boolean',
+    showIndices: 'boolean',
+    altitudeUnit: ['m', 'ft'],
+    temperatureUnit: ['C', 'F'],
+    speedUnit: ['ms', 'kt'],
+    pressureUnit: ['hpa', 'inhg']
+};
+
+function roundToDecim(num, decim)
+{
+    return Math.round((num + Math.pow(10, -decim * 2)) * Math.pow(10, decim)) / Math.pow(10, decim);
+}
+
+// =====================================================================================================================
+// =====================================================================================================================
+// Meteorological calculations
+
+function getPressureAtAltitude(groundP, altitude, temperature)
+{
+    // Hypsometric formula - only below 10000m
+    return groundP * Math.pow(1 - (0.0065 * altitude) / (temperature + 0.0065 * altitude + 273.15), 5.257);
+}
+
+function getQfeFromQnh(qnh, elevation)
+{
+    // QNH is reduced to sea level along the ISA atmosphere, so go back up along the same [Pa]
+    return qnh * Math.pow(1 - (0.0065 * elevation) / 288.15, 5.25588);
+}
+
+function getPressureAltitude(pressure)
+{
+    // Altitude in the ISA atmosphere where this pressure is found [m]
+    return 44330.77 * (1 - Math.pow(pressure / standardPressure, 0.190263));
+}
+
+function getSaturationVapourPressure(temperature)
+{
+    // Magnus formula over water (Sonntag constants) [Pa]
+    return 611.2 * Math.exp((17.62 * temperature) / (243.12 + temperature));
+}
+
+function getVapourPressure(absoluteHumidity, temperature)
+{
+    // Ideal gas law for water vapour, absolute humidity in [g/m3] [Pa]
+    return (absoluteHumidity / 1000.0) * waterVapourGasConstant * (temperature + 273.15);
+}
+
+function getDewPointForVapourPressure(vapourPressure)
+{
+    // Inverse of the Magnus formula
+    var x = Math.log(vapourPressure / 611.2);
+    return 243.12 * x / (17.62 - x);
+}
+
+function getMixingRatio(vapourPressure, pressure)
+{
+    // [kg/kg]
+    return gasConstantRatio * vapourPressure / (pressure - vapourPressure);
+}
+
+function getSaturationMixingRatio(temperature, pressure)
+{
+    return getMixingRatio(getSaturationVapourPressure(temperature), pressure);
+}
+
+function getMoistAdiabaticLapseRate(temperature, pressure)
+{
+    // Saturated adiabatic lapse rate [K/m]
+    var kelvin = temperature + 273.15;
+    var ws = getSaturationMixingRatio(temperature, pressure);
+    return gravity * (1 + (vaporizationHeat * ws) / (dryAirGasConstant * kelvin))
+        / (dryAirHeatCapacity + (vaporizationHeat * vaporizationHeat * ws * gasConstantRatio) / (dryAirGasConstant * kelvin * kelvin));
+}
+
+function getSaturatedDensityFor(temperature)
+{
+    // Saturated water vapour density [g/m3]
+    return 1000.0 * getSaturationVapourPressure(temperature) / (waterVapourGasConstant * (temperature + 273.15));
+}
+
+function getAbsoluteHumidityForDewPoint(dewPoint, temperature)
+{
+    // Water vapour density of air with the given dew point [g/m3]
+    return 1000.0 * getSaturationVapourPressure(dewPoint) / (waterVapourGasConstant * (temperature + 273.15));
+}
+
+function getRelativeHumidity(absolute, altitude, pressure, temperature)
+{
+    // WMO definition: mixing ratio relative to the saturation mixing ratio at the same pressure
+    return getMixingRatio(getVapourPressure(absolute, temperature), pressure) / getSaturationMixingRatio(temperature, pressure);
+}
+
+function getDewPoint(temperature, relativeHumidity, pressure)
+{
+    var mixingRatio = relativeHumidity * getSaturationMixingRatio(temperature, pressure);
+    return getDewPointForVapourPressure(mixingRatio * pressure / (gasConstantRatio + mixingRatio));
+}
+
+function getGroundPressure(reference, pressure, elevation)
+{
+    // QFE [Pa] from the QNH or QFE setting [hPa] and the field elevation [m]
+    return reference === 'qfe' ? pressure * 100.0 : getQfeFromQnh(pressure * 100.0, elevation);
+}
+
+// =====================================================================================================================
+// =====================================================================================================================
+// Profiles
+
+function getProfileDataAt(profile, altitude, fieldName)
+{
+    var levels = profile.levels;
+    var below, above;
+    for (var i = 0; i < levels.length; ++i)
+    {
+        var curr = levels[i];
+
+        if (curr.alt === altitude)
+        {
+            return curr[fieldName];
+        }
+        else if (curr.alt < altitude)
+        {
+            below = curr;
+        }
+        else if (curr.alt > altitude)
+        {
+            above = curr;
+            break;
+        }
+    }
+
+    return below[fieldName] + ((altitude - below.alt) / (above.alt - below.alt)) * (above[fieldName] - below[fieldName]);
+}
+
+function getProfileTemperatureAt(profile, altitude)
+{
+    return getProfileDataAt(profile, altitude, 'temp');
+}
+
+function getProfileAbsoluteHumidityAt(profile, altitude)
+{
+    return getProfileDataAt(profile, altitude, 'humidity');
+}
+
+function getProfilePressureAt(profile, altitude)
+{
+    return getPressureAtAltitude(profile.groundPressure, altitude, getProfileTemperatureAt(profile, altitude));
+}
+
+function getProfileDewPointAt(profile, altitude)
+{
+    var temperature = getProfileTemperatureAt(profile, altitude);
+    var pressure = getPressureAtAltitude(profile.groundPressure, altitude, temperature);
+    return getDewPoint(temperature, getRelativeHumidity(getProfileAbsoluteHumidityAt(profile, altitude), altitude, pressure, temperature), pressure);
+}
+
+function getWindComponents(windDir, windSpeed)
+{
+    // Components of the air movement towards the east and the north [m/s]
+    var to = (windDir + 180.0) * Math.PI / 180.0;
+    return {east: windSpeed * Math.sin(to), north: windSpeed * Math.cos(to)};
+}
+
+function getWindFromComponents(east, north)
+{
+    var speed = Math.sqrt(east * east + north * north);
+    var dir = speed > 0.0 ? (Math.atan2(-east, -north) * 180.0 / Math.PI + 360.0) % 360.0 : 0.0;
+    return {dir: dir, speed: speed, east: east, north: north};
+}
+
+function interpolateWind(below, above, ratio)
+{
+    // Direction is interpolated through the components, so 350° and 10° give 0° and not 180°
+    var low = getWindComponents(below.windDir, below.windSpeed);
+    var high = getWindComponents(above.windDir, above.windSpeed);
+    return getWindFromComponents(low.east + ratio * (high.east - low.east), low.north + ratio * (high.north - low.north));
+}
+
+function getProfileWindAt(profile, altitude)
+{
+    var levels = profile.levels;
+    var below = levels[0], above = levels[levels.length - 1];
+    for (var i = 0; i < levels.length; ++i)
+    {
+        if (levels[i].alt <= altitude) below = levels[i];
+        if (levels[i].alt >= altitude)
+        {
+            above = levels[i];
+            break;
+        }
+    }
+
+    var ratio = above.alt > below.alt ? (altitude - below.alt) / (above.alt - below.alt) : 0.0;
+    return interpolateWind(below, above, ratio);
+}
+
+function validateTerrain(terrain)
+{
+    // terrain: [{x: 0.0 - 1.0 across the landscape, elevation: [m], surface: key of surfaceTypes up to the next point}]
+    if (!Array.isArray(terrain) || terrain.length < 2) return ["terrain must have at least 2 points"];
+
+    var errors = [];
+    for (var i = 0; i < terrain.length; ++i)
+    {
+        var point = terrain[i];
+        var where = "Terrain point " + i + ": ";
+
+        if (point === null || typeof point !== 'object')
+        {
+            errors.push(where + "not an object");
+            continue;
+        }
+
+        if (typeof point.x !== 'number' || !isFinite(point.x) || point.x < 0.0 || point.x > 1.0) errors.push(where + "x must be between 0 and 1");
+        else if (i > 0 && terrain[i - 1] && point.x <= terrain[i - 1].x) errors.push(where + "x is not right of the previous point");
+        if (typeof point.elevation !== 'number' || !isFinite(point.elevation) || point.elevation < 0 || point.elevation > terrainMaxElevation) errors.push(where + "elevation must be between 0 and " + terrainMaxElevation + "m");
+        if (i < terrain.length - 1 && !surfaceTypes.hasOwnProperty(point.surface)) errors.push(where + "unknown surface " + point.surface);
+    }
+
+    if (terrain[0] && terrain[0].x !== 0) errors.push("terrain must start at x 0");
+    if (terrain[terrain.length - 1] && terrain[terrain.length - 1].x !== 1) errors.push("terrain must end at x 1");
+
+    return errors;
+}
+
+function validateProfileLevels(levels)
+{
+    // Checks the levels of a profile coming from a file, returns the list of error texts
+    var errors = [];
+
+    if (!Array.isArray(levels) || levels.length < 2) return ["weatherStack must have at least 2 levels"];
+
+    for (var i = 0; i < levels.length; ++i)
+    {
+        var level = levels[i];
+        var where = "Level " + i + ": ";
+
+        if (level === null || typeof level !== 'object')
+        {
+            errors.push(where + "not an object");
+            continue;
+        }
+
+        ['alt', 'temp', 'windDir', 'windSpeed', 'humidity'].forEach(function(field)
+        {
+            if (typeof level[field] !== 'number' || !isFinite(level[field])) errors.push(where + field + " must be a number");
+        });
+
+        if (i > 0 && levels[i - 1] && level.alt <= levels[i - 1].alt) errors.push(where + "altitude " + level.alt + "m is not above the previous level");
+        if (level.temp < soundingMinTemp || level.temp > soundingMaxTemp) errors.push(where + "temperature " + level.temp + "°C out of range");
+        if (level.humidity < 0) errors.push(where + "humidity must not be negative");
+        if (level.windDir < 0 || level.windDir > 360) errors.push(where + "windDir must be between 0 and 360");
+        if (level.windSpeed < 0) errors.push(where + "windSpeed must not be negative");
+    }
+
+    if (levels[0] && levels[0].alt !== 0) errors.push("weatherStack must start at 0m");
+    if (levels[levels.length - 1] && levels[levels.length - 1].alt !== calculationsMaxHeight) errors.push("weatherStack must end at " + calculationsMaxHeight + "m");
+
+    return errors;
+}
+
+// =====================================================================================================================
+// =====================================================================================================================
+// Thermal
+
+function getSurfaceHeatingFactor(surface)
+{
+    // How much the surface heats the air compared to the reference meadow
+    var type = surfaceTypes[surface];
+    var reference = surfaceTypes[referenceSurface];
+    return type.heating * (1.0 - type.albedo) / (reference.heating * (1.0 - reference.albedo));
+}
+
+function getSurfaceExcess(settings, surface)
+{
+    // Temperature excess [K] of the air heated by the surface over the air around it
+    return settings.solarStrength * thermalSurfaceExcess * getSurfaceHeatingFactor(surface);
+}
+
+function isSurfaceTriggering(settings, surface)
+{
+    return getSurfaceExcess(settings, surface) >= thermalTriggerExcess;
+}
+
+function getTriggerTemperature(profile, settings, surface, elevation)
+{
+    // The air above the surface has to reach this temperature [C] to break away as a thermal
+    return getProfileTemperatureAt(profile, elevation) + Math.max(getSurfaceExcess(settings, surface), thermalTriggerExcess);
+}
+
+function liftParcel(profile, surfaceExcess, startAltitude)
+{
+    // Lifts a surface parcel along the dry adiabat up to the LCL, then along the saturated adiabat.
+    // Mixing ratio is conserved below the LCL, above that the parcel is kept at saturation. The parcel starts at
+    // startAltitude [m], the ground under it, rounded to the integration step.
+    var start = Math.round((startAltitude || 0.0) / parcelStep) * parcelStep;
+    var groundTemp = getProfileTemperatureAt(profile, start);
+    var groundPressureAt = getProfilePressureAt(profile, start);
+
+    var parcel = {
+        alt: start,
+        temp: groundTemp + surfaceExcess,
+        mixingRatio: getMixingRatio(getVapourPressure(getProfileAbsoluteHumidityAt(profile, start), groundTemp), groundPressureAt),
+        saturated: false
+    };
+
+    var levels = [];
+    var lcl = null;
+
+    function pushLevel()
+    {
+        var envTemp = getProfileTemperatureAt(profile, parcel.alt);
+        levels.push({
+            altitude: parcel.alt,
+            pressure: getProfilePressureAt(profile, parcel.alt),
+            temp: parcel.temp,
+            envTemp: envTemp,
+            mixingRatio: parcel.mixingRatio,
+            saturated: parcel.saturated,
+            buoyancy: gravity * (parcel.temp - envTemp) / (envTemp + 273.15) // [m/s2]
+        });
+    }
+
+    pushLevel();
+
+    while (parcel.alt + parcelStep <= calculationsMaxHeight)
+    {
+        var pressure = getProfilePressureAt(profile, parcel.alt);
+        var prevExcessMoisture = parcel.mixingRatio - getSaturationMixingRatio(parcel.temp, pressure);
+
+        if (parcel.saturated)
+        {
+            parcel.temp -= getMoistAdiabaticLapseRate(parcel.temp, pressure) * parcelStep;
+            parcel.alt += parcelStep;
+            parcel.mixingRatio = getSaturationMixingRatio(parcel.temp, getProfilePressureAt(profile, parcel.alt));
+        }
+        else
+        {
+            parcel.temp -= dryAdiabaticLapseRate * parcelStep;
+            parcel.alt += parcelStep;
+
+            var excessMoisture = parcel.mixingRatio - getSaturationMixingRatio(parcel.temp, getProfilePressureAt(profile, parcel.alt));
+            if (excessMoisture >= 0.0)
+            {
+                // just reached the lifted condensation level
+                parcel.saturated = true;
+                lcl = parcel.alt - parcelStep + (-prevExcessMoisture / (excessMoisture - prevExcessMoisture)) * parcelStep;
+            }
+        }
+
+        pushLevel();
+    }
+
+    return {levels: levels, lcl: lcl};
+}
+
+function computeThermalData(profile, settings, strengthFactor, startAltitude)
+{
+    // Parcel method: the surface parcel, warmed by the sun, is lifted along the dry and then the saturated adiabat.
+    // Its buoyancy against the profile accelerates it, drag slows it down; thermal top is where it stops.
+    // strengthFactor scales the surface excess for weaker or stronger thermals of the same profile, startAltitude
+    // is the ground under a thermal from higher terrain.
+
+    if (strengthFactor === undefined) strengthFactor = 1.0;
+    var ascent = liftParcel(profile, settings.solarStrength * thermalSurfaceExcess * strengthFactor, startAltitude);
+    var levels = ascent.levels;
+
+    var data = {
+        thermalTop: calculationsMaxHeight,
+        cloudBase: ascent.lcl === null ? calculationsMaxHeight : ascent.lcl,
+        cloudType: 'none',
+        cloudEnergy: 0.0,
+        lcl: ascent.lcl,
+        lfc: null,
+        equilibriumLevel: null,
+        strength: [],
+        parcel: []
+    };
+
+    var i;
+
+    // Free convection: first level at or above the LCL where the parcel is warmer than its environment, until it
+    // becomes colder again
+    for (i = 0; ascent.lcl !== null && i < levels.length; ++i)
+    {
+        if (levels[i].altitude < ascent.lcl) continue;
+
+        if (data.lfc === null)
+        {
+            if (levels[i].buoyancy > 0.0) data.lfc = levels[i].altitude;
+        }
+        else if (levels[i].buoyancy <= 0.0)
+        {
+            data.equilibriumLevel = levels[i].altitude;
+            break;
+        }
+    }
+
+    // Vertical speed of the thermal from kinetic energy: d(w^2)/dz = 2B - 2 * drag * w^2
+    var velocitySquare = 0.0;
+    var thermalStopped = false;
+
+    for (i = 0; i < levels.length; ++i)
+    {
+        var level = levels[i];
+
+        if (level.altitude % settings.calculationResolution === 0) data.parcel.push(level);
+
+        if (thermalStopped) continue;
+
+        if (i > 0)
+        {
+            var prevVelocitySquare = velocitySquare;
+            velocitySquare += 2.0 * (level.buoyancy - thermalDragCoefficient * velocitySquare) * parcelStep;
+
+            if (velocitySquare <= 0.0)
+            {
+                // thermal stopped
+                data.thermalTop = levels[i - 1].altitude + (prevVelocitySquare / (prevVelocitySquare - velocitySquare)) * parcelStep;
+                thermalStopped = true;
+                continue;
+            }
+        }
+        else if (level.buoyancy <= 0.0)
+        {
+            // no thermal at all
+            data.thermalTop = level.altitude;
+            thermalStopped = true;
+            continue;
+        }
+
+        if (level.altitude % settings.calculationResolution === 0)
+        {
+            var impulse = Math.sqrt(Math.max(velocitySquare, 0.0));
+            data.strength.push({altitude: level.altitude, impulse: impulse, climbRate: impulse * thermalMeanUpdraftRatio});
+        }
+    }
+
+    // the more buoyant the parcel is in the cloud, the more the cloud towers
+    levels.forEach(function(e)
+    {
+        if (e.altitude > data.cloudBase && e.altitude <= data.thermalTop) data.cloudEnergy += Math.max(e.buoyancy, 0.0) * parcelStep;
+    });
+    data.cloudType = classifyCloud(profile, data);
+
+    return data;
+}
+
+function classifyCloud(profile, thermalData, top)
+{
+    // Cloud form from the stability of the cloud layer and how cold the top gets, top is lower for a young or a
+    // decaying thermal; no cloud when the thermal stays dry
+    if (top === undefined) top = thermalData.thermalTop;
+    if (thermalData.cloudBase >= top) return 'none';
+
+    var energy = thermalData.cloudEnergy;
+    if (energy >= cloudCumulonimbusEnergy && getProfileTemperatureAt(profile, top) <= cloudGlaciationTemperature) return 'cumulonimbus';
+    if (energy >= cloudCongestusEnergy) return 'congestus';
+    if (energy >= cloudMediocrisEnergy) return 'mediocris';
+    return 'humilis';
+}
+
+function getClimbRateAt(thermalData, altitude)
+{
+    // Interpolated mean updraft of the thermal [m/s], 0 above the thermal top
+    if (altitude >= thermalData.thermalTop) return 0.0;
+
+    var strength = thermalData.strength;
+    if (strength.length > 0 && altitude < strength[0].altitude) return 0.0; // below the ground of the thermal
+    for (var i = 1; i < strength.length; ++i)
+    {
+        if (strength[i].altitude >= altitude)
+        {
+            var ratio = (altitude - strength[i - 1].altitude) / (strength[i].altitude - strength[i - 1].altitude);
+            return strength[i - 1].climbRate + ratio * (strength[i].climbRate - strength[i - 1].climbRate);
+        }
+    }
+
+    return strength.length > 0 ? strength[strength.length - 1].climbRate : 0.0;
+}
+
+function getBestClimb(thermalData, step)
+{
+    // Altitude [m] and climb rate [m/s] of the strongest climb, sampled every step metres below the cloudbase, where
+    // gliders can use it, or below the top of blue thermals
+    var best = {altitude: 0.0, climbRate: 0.0};
+    var ceiling = Math.min(thermalData.cloudBase, thermalData.thermalTop);
+
+    for (var altitude = step; altitude < ceiling; altitude += step)
+    {
+        var climbRate = getClimbRateAt(thermalData, altitude);
+        if (climbRate > best.climbRate) best = {altitude: altitude, climbRate: climbRate};
+    }
+
+    return best;
+}
+
+function getForecast(profile, settings, tableStep)
+{
+    // Summary for a text forecast. cloudBase is null for blue thermals, climbRates lists the climb every tableStep
+    // metres above the ground up to the thermal top.
+    var data = computeThermalData(profile, settings);
+    var climbRates = [];
+
+    for (var altitude = tableStep; altitude < data.thermalTop; altitude += tableStep)
+    {
+        climbRates.push({altitude: altitude, climbRate: getClimbRateAt(data, altitude)});
+    }
+
+    return {
+        thermalTop: data.thermalTop,
+        cloudBase: data.cloudType === 'none' ? null : data.cloudBase,
+        cloudType: data.cloudType,
+        lfc: data.lfc,
+        equilibriumLevel: data.equilibriumLevel,
+        bestClimb: getBestClimb(data, tableStep),
+        climbRates: climbRates,
+        thermalData: data
+    };
+}
+
+// =====================================================================================================================
+// =====================================================================================================================
+// Stability indices
+
+function getProfileAltitudeAtPressure(profile, pressure)
+{
+    // Altitude [m] where the pressure of the profile drops to pressure [Pa], null below the ground or above the profile
+    if (pressure > profile.groundPressure) return null;
+
+    var previous = profile.groundPressure;
+    for (var altitude = parcelStep; altitude <= calculationsMaxHeight; altitude += parcelStep)
+    {
+        var current = getProfilePressureAt(profile, altitude);
+        if (current <= pressure) return altitude - parcelStep * (pressure - current) / (previous - current);
+        previous = current;
+    }
+
+    return null;
+}
+
+function getParcelLevelAt(levels, altitude)
+{
+    // The level of a lifted parcel nearest to altitude, levels are parcelStep apart
+    var index = Math.round((altitude - levels[0].altitude) / parcelStep);
+    return levels[Math.max(0, Math.min(index, levels.length - 1))];
+}
+
+function computeStabilityIndices(profile, settings)
+{
+    // Forecast indices of the profile, each {value, bottom, top} with the layer [m] it is taken from. The surface
+    // parcel is the one of the thermals, warmed by the sun. Indices of pressure levels the profile does not reach and
+    // of convection that does not start have a null value.
+    function index(value, bottom, top)
+    {
+        return {value: value, bottom: bottom, top: top === undefined ? bottom : top};
+    }
+
+    var surfaceExcess = settings.solarStrength * thermalSurfaceExcess;
+    var ascent = liftParcel(profile, surfaceExcess);
+    var thermal = computeThermalData(profile, settings);
+    var at850 = getProfileAltitudeAtPressure(profile, 85000.0);
+    var at700 = getProfileAltitudeAtPressure(profile, 70000.0);
+    var at500 = getProfileAltitudeAtPressure(profile, 50000.0);
+    var temperatureAt = function(altitude) { return getProfileTemperatureAt(profile, altitude); };
+    var dewPointAt = function(altitude) { return getProfileDewPointAt(profile, altitude); };
+    var indices = {};
+
+    // CAPE: the positive buoyancy from the LFC to the EL, CIN: the negative one below the LFC [J/kg]
+    var equilibriumLevel = thermal.equilibriumLevel === null ? calculationsMaxHeight : thermal.equilibriumLevel;
+    var cape = 0.0, cin = 0.0;
+    ascent.levels.forEach(function(e)
+    {
+        if (thermal.lfc === null) return;
+        if (e.altitude < thermal.lfc) cin += Math.min(e.buoyancy, 0.0) * parcelStep;
+        else if (e.altitude <= equilibriumLevel) cape += Math.max(e.buoyancy, 0.0) * parcelStep;
+    });
+    indices.cape = thermal.lfc === null ? index(0.0, null) : index(cape, thermal.lfc, equilibriumLevel);
+    indices.cin = thermal.lfc === null ? index(null, null) : index(cin, 0.0, thermal.lfc);
+
+    // lifted index: the environment minus the parcel at 500hPa, Showalter: the same for a parcel from 850hPa
+    indices.liftedIndex = at500 === null ? index(null, null) : index(temperatureAt(at500) - getParcelLevelAt(ascent.levels, at500).temp, at500);
+    if (at850 === null || at500 === null)
+    {
+        indices.showalter = index(null, null);
+        indices.kIndex = index(null, null);
+    }
+    else
+    {
+        var showalterAscent = liftParcel(profile, 0.0, at850);
+        indices.showalter = index(temperatureAt(at500) - getParcelLevelAt(showalterAscent.levels, at500).temp, at850, at500);
+        indices.kIndex = index(temperatureAt(at850) - temperatureAt(at500) + dewPointAt(at850) - (temperatureAt(at700) - dewPointAt(at700)), at850, at500);
+    }
+
+    // thermal index: the environment minus the warmed surface air brought up along the dry adiabat
+    var surfaceTemp = temperatureAt(0.0) + surfaceExcess;
+    indices.thermalIndex = thermalIndexLevels.map(function(altitude)
+    {
+        return index(temperatureAt(altitude) - (surfaceTemp - dryAdiabaticLapseRate * altitude), altitude);
+    });
+
+    // freezing level, and the convective temperature: the surface temperature the air needs to rise dry adiabatically
+    // to the convective condensation level, where the surface mixing ratio saturates in the environment
+    indices.freezingLevel = index(temperatureAt(0.0) <= 0.0 ? 0.0 : null, 0.0);
+    indices.convectiveTemperature = index(null, 0.0, null);
+    var surfaceMixingRatio = ascent.levels[0].mixingRatio;
+
+    for (var altitude = parcelStep; altitude <= calculationsMaxHeight; altitude += parcelStep)
+    {
+        if (indices.freezingLevel.value === null && temperatureAt(altitude) <= 0.0)
+        {
+            var below = temperatureAt(altitude - parcelStep);
+            var freezing = altitude - parcelStep * below / (below - temperatureAt(altitude));
+            indices.freezingLevel = index(freezing, freezing);
+        }
+        if (indices.convectiveTemperature.value === null
+            && getSaturationMixingRatio(temperatureAt(altitude), getProfilePressureAt(profile, altitude)) <= surfaceMixingRatio)
+        {
+            indices.convectiveTemperature = index(temperatureAt(altitude) + dryAdiabaticLapseRate * altitude, 0.0, altitude);
+        }
+    }
+
+    // what the sun gives the surface parcel now, compared to the convective temperature
+    indices.surfaceTemperature = surfaceTemp;
+    return indices;
+}
+
+// =====================================================================================================================
+// =====================================================================================================================
+// Orographic lift
+//
+// ridge: {x: [m] of the crest across the section, top: [m] elevation of the crest, base: [m] lowest terrain,
+//         halfWidth: [m] from the crest to half its height}
+// Simplified linear mountain wave theory: the air follows the terrain, less so with height, and trapped lee waves
+// form downstream of the ridge when the Scorer parameter drops from the stable layer to the air above it.
+
+function getProfileCrossWindAt(profile, altitude, azimuth)
+{
+    // Wind component along a cross-section whose right side points to azimuth [deg], positive to the right [m/s]
+    var wind = getProfileWindAt(profile, altitude);
+    var angle = azimuth * Math.PI / 180.0;
+    return wind.east * Math.sin(angle) + wind.north * Math.cos(angle);
+}
+
+function getWaveSampleAltitude(altitude)
+{
+    // The waves look far above the ridge, samples above the profile are taken at its top
+    return Math.min(Math.max(altitude, 0.0), calculationsMaxHeight);
+}
+
+function getBruntVaisalaSquared(profile, altitude)
+{
+    // Squared Brunt-Vaisala frequency of dry air [1/s2], negative where the air is unstable
+    var below = Math.min(Math.max(altitude - waveScorerStep / 2, 0.0), calculationsMaxHeight - waveScorerStep);
+    var lapse = (getProfileTemperatureAt(profile, below + waveScorerStep) - getProfileTemperatureAt(profile, below)) / waveScorerStep;
+    return gravity / (getProfileTemperatureAt(profile, getWaveSampleAltitude(altitude)) + 273.15) * (lapse + dryAdiabaticLapseRate);
+}
+
+function getScorerSquared(profile, altitude, azimuth)
+{
+    // Squared Scorer parameter [1/m2]: the stability over the squared wind minus the curvature of the wind profile.
+    // Waves shorter than 2 pi / l fade out with height instead of spreading upwards.
+    var wind = getProfileCrossWindAt(profile, getWaveSampleAltitude(altitude), azimuth);
+    var below = getProfileCrossWindAt(profile, getWaveSampleAltitude(altitude - waveScorerStep), azimuth);
+    var above = getProfileCrossWindAt(profile, getWaveSampleAltitude(altitude + waveScorerStep), azimuth);
+    var curvature = (above - 2.0 * wind + below) / (waveScorerStep * waveScorerStep);
+    if (Math.abs(wind) < 1.0) wind = wind < 0.0 ? -1.0 : 1.0;
+    return getBruntVaisalaSquared(profile, altitude) / (wind * wind) - curvature / wind;
+}
+
+function getMeanScorerSquared(profile, bottom, top, azimuth)
+{
+    var sum = 0.0, count = 0;
+    top = getWaveSampleAltitude(top);
+    for (var altitude = bottom; altitude <= top; altitude += waveScorerStep, ++count) sum += getScorerSquared(profile, altitude, azimuth);
+    return count > 0 ? sum / count : 0.0;
+}
+
+function computeWaveData(profile, ridge, azimuth)
+{
+    // Ridge lift and trapped lee waves of the wind blowing across the ridge. Without waves, reason is why:
+    // 'ridge' too low, 'wind' too weak, no 'stable' layer, no 'increase' of the wind above it or no 'trapping'.
+    var height = ridge.top - ridge.base;
+    var crossWind = getProfileCrossWindAt(profile, ridge.top, azimuth);
+    var wave = {
+        ridge: ridge,
+        azimuth: azimuth,
+        crossWind: crossWind,
+        ridgeLift: height >= ridgeMinHeight && Math.abs(crossWind) >= ridgeMinCrossWind,
+        waves: false,
+        reason: null,
+        stableBase: null,
+        stableTop: null,
+        wavelength: null,
+        amplitude: 0.0, // [m] at the top of the stable layer
+        upperDecay: 0.0 // [1/m] of the amplitude above the stable layer
+    };
+
+    if (height < ridgeMinHeight) wave.reason = 'ridge';
+    else if (Math.abs(crossWind) < waveMinCrossWind) wave.reason = 'wind';
+    if (wave.reason !== null) return wave;
+
+    // the first stable layer above the ridge top
+    var searchTop = getWaveSampleAltitude(ridge.top + waveSearchDepth);
+    for (var altitude = ridge.top; altitude <= searchTop; altitude += waveScorerStep)
+    {
+        if (getBruntVaisalaSquared(profile, altitude) >= waveStableLayer)
+        {
+            if (wave.stableBase === null) wave.stableBase = altitude;
+            wave.stableTop = getWaveSampleAltitude(altitude + waveScorerStep);
+        }
+        else if (wave.stableBase !== null)
+        {
+            break;
+        }
+    }
+    if (wave.stableBase === null)
+    {
+        wave.reason = 'stable';
+        return wave;
+    }
+
+    // the wind has to keep blowing the same way and get stronger above the stable layer
+    var upperWind = getProfileCrossWindAt(profile, getWaveSampleAltitude(wave.stableTop + waveUpperDepth / 2), azimuth);
+    if (upperWind * crossWind <= 0.0 || Math.abs(upperWind) <= Math.abs(crossWind))
+    {
+        wave.reason = 'increase';
+        return wave;
+    }
+
+    // trapped when the Scorer parameter drops enough for a wave to fit under the upper air (two layer model)
+    var lower = getMeanScorerSquared(profile, ridge.top, wave.stableTop, azimuth);
+    var upper = getMeanScorerSquared(profile, wave.stableTop, wave.stableTop + waveUpperDepth, azimuth);
+    var depth = wave.stableTop - ridge.base;
+    if (lower - upper < Math.PI * Math.PI / (4.0 * depth * depth))
+    {
+        wave.reason = 'trapping';
+        return wave;
+    }
+
+    wave.wavelength = Math.min(Math.max(2.0 * Math.PI / Math.sqrt((lower + Math.max(upper, 0.0)) / 2.0), waveMinLength), waveMaxLength);
+    var wavenumber = 2.0 * Math.PI / wave.wavelength;
+
+    // the ridge excites the waves best when its half width is about a wavelength over 2 pi
+    var fit = wavenumber * ridge.halfWidth;
+    wave.amplitude = waveAmplitudeRatio * height * fit * Math.exp(1.0 - fit);
+    wave.upperDecay = Math.sqrt(Math.max(wavenumber * wavenumber - upper, 0.01 * wavenumber * wavenumber));
+    wave.waves = true;
+    return wave;
+}
+
+function getOrographicDisplacement(wave, x, ground, altitude)
+{
+    // How much higher the air at altitude above x [m] and ground [m] is than upwind of the ridge [m]
+    if (!wave.ridgeLift) return 0.0;
+
+    var ridge = wave.ridge;
+    var displacement = (ground - ridge.base) * Math.exp(-Math.max(altitude - ground, 0.0) / (ridgeLiftDepth * ridge.halfWidth));
+
+    var downstream = wave.crossWind > 0.0 ? x - ridge.x : ridge.x - x;
+    if (!wave.waves || downstream <= 0.0) return displacement;
+
+    // the first trough right behind the ridge, the crests following every wavelength
+    var shape = altitude <= wave.stableTop
+        ? Math.sin(0.5 * Math.PI * Math.max(altitude - ridge.base, 0.0) / (wave.stableTop - ridge.base))
+        : Math.exp(-wave.upperDecay * (altitude - wave.stableTop));
+    var decay = Math.exp(-downstream / (waveDownstreamDecay * wave.wavelength));
+    return displacement - wave.amplitude * shape * decay * Math.sin(2.0 * Math.PI * downstream / wave.wavelength);
+}
+
+function getOrographicLiftAt(profile, wave, groundAt, x, altitude)
+{
+    // Vertical speed of the air [m/s]: the wind along the slope of the displaced air. groundAt(x) is the terrain
+    // elevation [m] at x [m].
+    var before = getOrographicDisplacement(wave, x - orographicStep, groundAt(x - orographicStep), altitude);
+    var after = getOrographicDisplacement(wave, x + orographicStep, groundAt(x + orographicStep), altitude);
+    return getProfileCrossWindAt(profile, altitude, wave.azimuth) * (after - before) / (2.0 * orographicStep);
+}
+
+function isSaturatedWhenLifted(profile, altitude, lift)
+{
+    // Whether the air from altitude reaches its dew point when lifted dry adiabatically by lift [m]
+    altitude = getWaveSampleAltitude(altitude);
+    var temperature = getProfileTemperatureAt(profile, altitude);
+    var pressure = getProfilePressureAt(profile, altitude);
+    var vapourPressure = getVapourPressure(getProfileAbsoluteHumidityAt(profile, altitude), temperature);
+    var liftedVapourPressure = vapourPressure * getProfilePressureAt(profile, getWaveSampleAltitude(altitude + lift)) / pressure;
+    return temperature - dryAdiabaticLapseRate * lift <= getDewPointForVapourPressure(liftedVapourPressure);
+}
+
+// =====================================================================================================================
+// =====================================================================================================================
+// Sounding import
+
+function parseSoundingNumber(text)
+{
+    if (text === undefined) return null;
+    text = text.trim();
+    if (text === '') return null;
+    var value = parseFloat(text);
+    return isNaN(value) ? null : value;
+}
+
+function isWyomingSounding(text)
+{
+    // The TEXT:LIST table header is the column names, then their units and a line of dashes, a CSV header has neither
+    var lines = text.replace(/<[^>]*>/g, '').split(/\r?\n/);
+
+    for (var i = 0; i + 2 < lines.length; ++i)
+    {
+        if (/^\s*PRES\s+HGHT\s/.test(lines[i]) && /^\s*hPa\s+m\s/.test(lines[i + 1]) && /^-+$/.test(lines[i + 2].trim())) return true;
+    }
+
+    return false;
+}
+
+function parseWyomingSounding(text, sounding)
+{
+    // University of Wyoming TEXT:LIST, either the saved page or the copied table: 7 character wide columns
+    const columnWidth = 7;
+
+    text = text.replace(/<[^>]*>/g, '');
+    var lines = text.split(/\r?\n/);
+    var columns = null;
+    var inTable = false;
+
+    // the station information follows the table
+    var elevationMatch = text.match(/Station elevation:\s*(-?[0-9.]+)/);
+    if (elevationMatch) sounding.stationElevation = parseFloat(elevationMatch[1]);
+
+    for (var i = 0; i < lines.length; ++i)
+    {
+        var line = lines[i];
+
+        if (columns === null)
+        {
+            if (line.indexOf('PRES') >= 0 && line.indexOf('HGHT') >= 0) columns = line.trim().split(/\s+/);
+            continue;
+        }
+
+        if (!inTable)
+        {
+            // skip the units line and the dashes below the header
+            if (/^-+$/.test(line.trim()) && i > 0 && /^\s*hPa/.test(lines[i - 1])) inTable = true;
+            continue;
+        }
+
+        if (line.trim() === '' || /^-+$/.test(line.trim())) break;
+
+        // a column the table does not have is missing on every level
+        var values = {PRES: null, HGHT: null, TEMP: null, DWPT: null, DRCT: null, SKNT: null};
+        for (var c = 0; c < columns.length; ++c) values[columns[c]] = parseSoundingNumber(line.substr(c * columnWidth, columnWidth));
+
+        if (values.PRES === null && values.HGHT === null) break;
+
+        sounding.levels.push({
+            line: i + 1,
+            pressure: values.PRES === null ? null : values.PRES * 100.0,
+            height: values.HGHT,
+            temp: values.TEMP,
+            dewPoint: values.DWPT,
+            windDir: values.DRCT,
+            windSpeed: values.SKNT === null ? null : values.SKNT * knotsToMs
+        });
+    }
+
+    if (columns === null) sounding.errors.push("No PRES / HGHT table header found");
+}
+
+function parseCsvSounding(text, sounding)
+{
+    // pressure [hPa], height [m MSL], temperature [C], dew point [C], wind direction [deg], wind speed [m/s] or [kt]
+    // when the header names it SKNT or kt
+    var order = ['pressure', 'height', 'temp', 'dewPoint', 'windDir', 'windSpeed'];
+    var windInKnots = false;
+    // in this order: a "Dewpoint Temperature" column is the dew point, not the temperature
+    var headerPatterns = {pressure: /pres/i, height: /h(gh)?t|height|alt/i, dewPoint: /dew|dwpt|^td$/i, temp: /^t$|temp/i, windDir: /dir|drct/i, windSpeed: /sp(ee)?d|sknt|^ff$/i};
+
+    var lines = text.split(/\r?\n/);
+
+    for (var i = 0; i < lines.length; ++i)
+    {
+        var line = lines[i].trim();
+        if (line === '' || line.charAt(0) === '#') continue;
+
+        var cells = line.split(/[,;\t]/);
+
+        if (isNaN(parseFloat(cells[0])))
+        {
+            if (sounding.levels.length > 0)
+            {
+                sounding.errors.push("Line " + (i + 1) + ": not a data row, ignored");
+                continue;
+            }
+
+            // header line: map columns by name
+            windInKnots = cells.some(function(cell) { return /sknt|\bkts?\b|knot/i.test(cell); });
+            order = cells.map(function(cell)
+            {
+                for (var field in headerPatterns) if (headerPatterns[field].test(cell.trim())) return field;
+                return null;
+            });
+            continue;
+        }
+
+        var level = {line: i + 1, pressure: null, height: null, temp: null, dewPoint: null, windDir: null, windSpeed: null};
+        for (var c = 0; c < cells.length && c < order.length; ++c)
+        {
+            if (order[c] !== null) level[order[c]] = parseSoundingNumber(cells[c]);
+        }
+        if (level.pressure !== null) level.pressure *= 100.0;
+        if (level.windSpeed !== null && windInKnots) level.windSpeed *= knotsToMs;
+
+        sounding.levels.push(level);
+    }
+}
+
+function parseSounding(text)
+{
+    var sounding = {format: null, stationElevation: null, levels: [], errors: []};
+
+    if (isWyomingSounding(text))
+    {
+        sounding.format = "University of Wyoming TEXT:LIST";
+        parseWyomingSounding(text, sounding);
+    }
+    else
+    {
+        sounding.format = "CSV";
+        parseCsvSounding(text, sounding);
+    }
+
+    return sounding;
+}
+
+function buildProfileFromSounding(sounding)
+{
+    // Converts sounding levels to profile levels above the lowest valid level. Returns the profile, the report lines
+    // and the surface level; the profile is null when the sounding is unusable.
+    var report = [];
+    var valid = [];
+    var i, level;
+
+    for (i = 0; i < sounding.levels.length; ++i)
+    {
+        level = sounding.levels[i];
+        var prev = valid.length > 0 ? valid[valid.length - 1] : null;
+        var where = "Line " + level.line + (level.pressure !== null ? " (" + roundToDecim(level.pressure / 100.0, 1) + " hPa)" : "") + ": ";
+
+        if (level.height === null || level.temp === null)
+        {
+            report.push(where + "skipped, missing " + (level.height === null ? "height" : "temperature"));
+            continue;
+        }
+        if (level.temp < soundingMinTemp || level.temp > soundingMaxTemp)
+        {
+            report.push(where + "skipped, temperature " + level.temp + "°C out of range");
+            continue;
+        }
+        if (prev !== null && level.height <= prev.height)
+        {
+            report.push(where + "skipped, height " + level.height + "m is not above the previous level");
+            continue;
+        }
+        var dewPoint = level.dewPoint;
+        if (dewPoint === null)
+        {
+            dewPoint = soundingMinTemp;
+            report.push(where + "missing dew point, treated as dry");
+        }
+        else if (dewPoint > level.temp)
+        {
+            dewPoint = level.temp;
+            report.push(where + "dew point " + level.dewPoint + "°C above temperature, limited to saturation");
+        }
+
+        valid.push({height: level.height, pressure: level.pressure, temp: level.temp, dewPoint: dewPoint, windDir: level.windDir, windSpeed: level.windSpeed});
+    }
+
+    if (valid.length < 2)
+    {
+        report.unshift("Not enough valid levels in the sounding, nothing imported");
+        return {profile: null, report: report};
+    }
+
+    var surface = valid[0];
+    var levels = [];
+
+    function toLevel(level, altitude)
+    {
+        var calm = level.windDir === null || level.windSpeed === null;
+        return {alt: altitude, temp: level.temp, windDir: calm ? 0.0 : level.windDir % 360, windSpeed: calm ? 0.0 : level.windSpeed,
+            humidity: getAbsoluteHumidityForDewPoint(level.dewPoint, level.temp)};
+    }
+
+    for (i = 0; i < valid.length; ++i)
+    {
+        level = valid[i];
+        var altitude = Math.round(level.height - surface.height);
+
+        if (altitude > calculationsMaxHeight)
+        {
+            // close the profile exactly at the calculation ceiling
+            var below = levels[levels.length - 1];
+            var top = toLevel(level, altitude);
+            var ratio = (calculationsMaxHeight - below.alt) / (top.alt - below.alt);
+            var wind = interpolateWind(below, top, ratio);
+            levels.push({alt: calculationsMaxHeight, temp: below.temp + ratio * (top.temp - below.temp), windDir: wind.dir, windSpeed: wind.speed,
+                humidity: below.humidity + ratio * (top.humidity - below.humidity)});
+            report.push("" + (valid.length - i) + " levels above " + calculationsMaxHeight + "m were not used");
+            break;
+        }
+
+        levels.push(toLevel(level, altitude));
+    }
+
+    var topmost = levels[levels.length - 1];
+    if (topmost.alt < calculationsMaxHeight)
+    {
+        // extend with the standard atmosphere lapse rate
+        levels.push({alt: calculationsMaxHeight, temp: topmost.temp - 0.0065 * (calculationsMaxHeight - topmost.alt),
+            windDir: topmost.windDir, windSpeed: topmost.windSpeed, humidity: topmost.humidity / 2.0});
+        report.push("Sounding ends at " + topmost.alt + "m, extrapolated to " + calculationsMaxHeight + "m");
+    }
+
+    // the page and forecast.js take the levels as they are, like the levels of a scenario they have to be valid
+    var errors = validateProfileLevels(levels);
+    if (errors.length > 0)
+    {
+        report.unshift("The sounding gives an invalid profile, nothing imported");
+        return {profile: null, report: report.concat(errors)};
+    }
+
+    if (sounding.stationElevation !== null && Math.abs(surface.height - sounding.stationElevation) >= 1.0)
+    {
+        report.push("The station is at " + sounding.stationElevation + "m, the profile starts at the lowest usable level");
+    }
+
+    report.unshift("Imported " + levels.length + " levels (" + sounding.format + "), surface at " + surface.height + "m"
+        + (surface.pressure !== null ? ", " + roundToDecim(surface.pressure / 100.0, 1) + " hPa" : ""));
+
+    // without a measured surface pressure the standard atmosphere is assumed at the station
+    var groundPressure = surface.pressure !== null ? surface.pressure : getQfeFromQnh(standardPressure, surface.height);
+
+    return {profile: {groundPressure: groundPressure, levels: levels}, report: report, surface: surface};
+}
+
+// =====================================================================================================================
+// =====================================================================================================================
+// Scenarios
+
+function migrateScenario(doc)
+{
+    // Brings older documents to the current version, anything unexpected is left for the validation
+    if (doc === null || typeof doc !== 'object' || doc.version !== 1 || !Array.isArray(doc.weatherStack)) return doc;
+
+    var migrated = {};
+    for (var key in doc) migrated[key] = doc[key];
+    migrated.version = 2;
+    migrated.weatherStack = doc.weatherStack.map(function(level)
+    {
+        if (level === null || typeof level !== 'object' || typeof level.wind !== 'number') return level;
+
+        // version 1 had the west-east component only, positive blowing towards the east
+        return {alt: level.alt, temp: level.temp, windDir: level.wind >= 0 ? 270 : 90, windSpeed: Math.abs(level.wind), humidity: level.humidity};
+    });
+
+    return migrated;
+}
+
+function validateSetting(name, value)
+{
+    // Checks a setting of a scenario against scenarioSettings, returns an error text or null
+    if (!scenarioSettings.hasOwnProperty(name)) return "is unknown";
+
+    var allowed = scenarioSettings[name];
+    if (allowed === 'boolean') return typeof value === 'boolean' ? null : "must be true or false";
+    if (allowed === 'date') return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) ? null : "must be a date as YYYY-MM-DD";
+    if (typeof allowed[0] === 'string') return allowed.indexOf(value) >= 0 ? null : "must be one of " + allowed.join(", ");
+
+    if (typeof value !== 'number' || !isFinite(value)) return "must be a number";
+    if (value < allowed[0] || value > allowed[1]) return "must be between " + allowed[0] + " and " + allowed[1];
+
+    return null;
+}
+
+function validateScenario(doc)
+{
+    // Checks a migrated scenario document, returns the list of error texts
+    if (doc === null || typeof doc !== 'object') return ["Not a scenario document"];
+
+    var errors = [];
+    if (doc.format !== scenarioFormat) errors.push("Unknown format: " + doc.format);
+    if (typeof doc.version !== 'number' || doc.version > scenarioVersion) errors.push("Unsupported version: " + doc.version);
+
+    var settings = doc.settings || {};
+    for (var name in settings)
+    {
+        var error = validateSetting(name, settings[name]);
+        if (error !== null) errors.push("Setting " + name + " " + error + " (got " + JSON.stringify(settings[name]) + ")");
+    }
+
+    if (doc.terrain !== undefined) errors = errors.concat(validateTerrain(doc.terrain));
+
+    return errors.concat(validateProfileLevels(doc.weatherStack));
+}
+
+function getScenarioModel(doc)
+{
+    // Profile and settings of a migrated and valid scenario, settings it does not have are left at the page defaults
+    var settings = doc.settings || {};
+    function setting(name, fallback) { return settings[name] !== undefined ? settings[name] : fallback; }
+
+    return {
+        profile: {
+            groundPressure: getGroundPressure(setting('pressureReference', 'qnh'), setting('referencePressure', standardPressure / 100.0), setting('fieldElevation', 0)),
+            levels: doc.weatherStack
+        },
+        settings: {
+            solarStrength: setting('solarStrength', defaultModelSettings.solarStrength),
+            calculationResolution: defaultModelSettings.calculationResolution
+        },
+        fieldElevation: setting('fieldElevation', 0)
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports)
+{
+    module.exports = {
+        calculationsMaxHeight: calculationsMaxHeight,
+        terrainSectionWidth: terrainSectionWidth,
+        cloudTypeNames: cloudTypeNames,
+        defaultModelSettings: defaultModelSettings,
+        scenarioFormat: scenarioFormat,
+        scenarioVersion: scenarioVersion,
+        getGroundPressure: getGroundPressure,
+        getProfileDataAt: getProfileDataAt,
+        getProfileTemperatureAt: getProfileTemperatureAt,
+        getProfileDewPointAt: getProfileDewPointAt,
+        getProfilePressureAt: getProfilePressureAt,
+        getProfileWindAt: getProfileWindAt,
+        surfaceTypes: surfaceTypes,
+        getSurfaceHeatingFactor: getSurfaceHeatingFactor,
+        getTriggerTemperature: getTriggerTemperature,
+        validateProfileLevels: validateProfileLevels,
+        validateTerrain: validateTerrain,
+        computeThermalData: computeThermalData,
+        thermalIndexLevels: thermalIndexLevels,
+        computeStabilityIndices: computeStabilityIndices,
+        getProfileCrossWindAt: getProfileCrossWindAt,
+        getBruntVaisalaSquared: getBruntVaisalaSquared,
+        getScorerSquared: getScorerSquared,
+        computeWaveData: computeWaveData,
+        getOrographicDisplacement: getOrographicDisplacement,
+        getOrographicLiftAt: getOrographicLiftAt,
+        isSaturatedWhenLifted: isSaturatedWhenLifted,
+        classifyCloud: classifyCloud,
+        getClimbRateAt: getClimbRateAt,
+        getBestClimb: getBestClimb,
+        getForecast: getForecast,
+        parseSounding: parseSounding,
+        buildProfileFromSounding: buildProfileFromSounding,
+        migrateScenario: migrateScenario,
+        scenarioSettings: scenarioSettings,
+        validateSetting: validateSetting,
+        validateScenario: validateScenario,
+        getScenarioModel: getScenarioModel
+    };
+}